@@ -2,18 +2,14 @@
 
 /**
  * setup-ssh CLI entry point
+ *
+ * Usage:
+ *   setup-ssh [command] [options]   Commands: run (default), wait, stop, status, supervise, prune
+ *   setup-ssh --help                All options, generated from the settings schema (lib/cli.js)
  */
 
-const setupSsh = require('../lib/index');
+const { main } = require('../lib/cli');
 
-(async () => {
-  try {
-    await setupSsh.run();
-  } catch (err) {
-    console.error('❌ Error:', err.message);
-    if (process.env.DEBUG === '1') {
-      console.error(err.stack);
-    }
-    process.exit(1);
-  }
-})();
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
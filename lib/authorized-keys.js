@@ -0,0 +1,237 @@
+/**
+ * authorized-keys.js - Collect the public keys allowed to log in
+ *
+ * Sources, merged in this order and deduplicated by fingerprint (the first
+ * source of a key is reported):
+ *   - PIPELINE_SSH_PUBKEY        raw key text
+ *   - PIPELINE_SSH_PUBKEY_FILE   path to a keys file
+ *   - PIPELINE_SSH_GITHUB_USERS  keys of these users from <PIPELINE_SSH_KEYS_URL>/<user>.keys
+ *   - PIPELINE_SSH_AUTHORIZE_ACTOR  keys of the user who triggered the run, on GitHub
+ *                                  or GitLab when PIPELINE_SSH_KEYS_URL is that server
+ *
+ * Restrictions (lib/key-options.js) are applied to the merged keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const plan = require('./plan');
+const { parseAuthorizedKey } = require('./keys');
+const { parseRestrictions, applyRestrictions } = require('./key-options');
+const { ConfigError, SSHDError, NetworkError } = require('./errors');
+
+/**
+ * Parse key text in authorized_keys format, logging and skipping invalid and weak keys
+ * @param {string} text - One key per line, optionally with options
+ * @param {string} source - Where the text came from, e.g. 'github.com:octocat'
+ * @returns {Object[]} Usable keys from keys.parseAuthorizedKey() with their source
+ */
+function parseKeys(text, source) {
+  const keys = [];
+
+  for (const line of String(text || '').split('\n')) {
+    const key = parseAuthorizedKey(line);
+    if (!key) continue;
+
+    if (key.error) {
+      const name = key.fingerprint || `${key.type} ${key.data.slice(0, 16)}...`;
+      logger.warn(`Rejected key ${name} from ${source}: ${key.error}`);
+      continue;
+    }
+
+    keys.push({ ...key, source });
+  }
+
+  return keys;
+}
+
+/**
+ * Stand-in for the keys behind a URL in a dry run, a distinct Ed25519 key per URL
+ * @param {string} url - Keys URL
+ * @returns {string} authorized_keys line
+ */
+function placeholderKey(url) {
+  const field = value => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(value.length);
+    return Buffer.concat([length, value]);
+  };
+  const digest = crypto.createHash('sha256').update(url).digest();
+  const blob = Buffer.concat([field(Buffer.from('ssh-ed25519')), field(digest)]);
+  return `ssh-ed25519 ${blob.toString('base64')} dry-run placeholder for ${url}`;
+}
+
+/**
+ * Fetch the public keys of a user, e.g. https://github.com/octocat.keys
+ *
+ * A dry run records the request and returns a placeholder key instead.
+ *
+ * @param {string} user - Username
+ * @param {string} baseUrl - GitHub, GitHub Enterprise or GitLab URL (default: PIPELINE_SSH_KEYS_URL)
+ * @returns {Promise<string>} Key text
+ * @throws {NetworkError} Request failed or timed out
+ */
+async function fetchUserKeys(user, baseUrl = config.ssh.keysUrl) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(user)}.keys`;
+
+  if (plan.isActive()) {
+    plan.record('network', { method: 'GET', url });
+    return placeholderKey(url);
+  }
+
+  const { controller, clear } = utils.withTimeout(config.timeouts.httpRequest);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new NetworkError(`${url} returned HTTP ${response.status}`, { url, status: response.status });
+    }
+    return await response.text();
+  } catch (err) {
+    if (err instanceof NetworkError) throw err;
+    const reason = err.name === 'AbortError' ? `timeout after ${config.timeouts.httpRequest}ms` : err.message;
+    throw new NetworkError(`${url}: ${reason}`, { url });
+  } finally {
+    clear();
+  }
+}
+
+/**
+ * The user who triggered the run, if that is an account on the keys server
+ *
+ * Platforms name the actor in their own namespace (a GitLab login, an Azure
+ * display name, a commit author), which must not be looked up on another server.
+ *
+ * @returns {string|null} Username
+ * @throws {ConfigError} The platform has no actor account or it lives on another server
+ */
+function resolveActor(keysUrl) {
+  const platform = hostrunner.getPlatform();
+  const serverUrl = platform && platform.actorServerUrl();
+
+  if (!serverUrl) {
+    const name = platform ? platform.name : 'this runner';
+    throw new ConfigError(
+      `PIPELINE_SSH_AUTHORIZE_ACTOR is not supported on ${name} (GitHub Actions or GitLab CI only)`
+    );
+  }
+  if (new URL(serverUrl).origin !== new URL(keysUrl).origin) {
+    throw new ConfigError(
+      `PIPELINE_SSH_AUTHORIZE_ACTOR: the actor is a user of ${serverUrl}, but keys are fetched from ${keysUrl} (set PIPELINE_SSH_KEYS_URL=${serverUrl})`
+    );
+  }
+
+  const actor = platform.actor();
+  if (!actor) {
+    logger.warn(`PIPELINE_SSH_AUTHORIZE_ACTOR is set, but ${platform.name} does not name the actor of this run`);
+  }
+  return actor;
+}
+
+/**
+ * Key sources configured for this run
+ * @returns {Object[]} [{ source, load: async () => key text }]
+ * @throws {ConfigError} PIPELINE_SSH_AUTHORIZE_ACTOR cannot be resolved safely
+ */
+function listSources() {
+  const { publicKey, publicKeyFile, githubUsers, authorizeActor, keysUrl } = config.ssh;
+  const sources = [];
+
+  if (publicKey) {
+    sources.push({ source: 'PIPELINE_SSH_PUBKEY', load: async () => publicKey });
+  }
+  if (publicKeyFile) {
+    sources.push({ source: `file:${publicKeyFile}`, load: async () => fs.readFileSync(publicKeyFile, 'utf8') });
+  }
+
+  const users = [...githubUsers];
+  if (authorizeActor) {
+    const actor = resolveActor(keysUrl);
+    if (actor) users.push(actor);
+  }
+
+  // Labelled by server, the same username may be someone else on another one
+  const host = users.length > 0 ? new URL(keysUrl).hostname : null;
+  for (const user of new Set(users)) {
+    sources.push({ source: `${host}:${user}`, load: () => fetchUserKeys(user, keysUrl) });
+  }
+
+  return sources;
+}
+
+/**
+ * Load keys from all sources, deduplicated by fingerprint
+ *
+ * A failing source is logged and skipped, the others may still let the user in.
+ *
+ * @returns {Promise<Object[]>} Keys from parseKeys()
+ * @throws {SSHDError} No source configured or no valid key found
+ */
+async function collectAuthorizedKeys() {
+  const sources = listSources();
+  if (sources.length === 0) {
+    throw new SSHDError('PIPELINE_SSH_PUBKEY is required');
+  }
+
+  const byFingerprint = new Map();
+
+  for (const { source, load } of sources) {
+    let keys;
+    try {
+      keys = parseKeys(await load(), source);
+    } catch (err) {
+      logger.warn(`Could not load keys from ${source}: ${err.message}`);
+      continue;
+    }
+
+    if (keys.length === 0) {
+      logger.warn(`No valid SSH keys in ${source}`);
+    }
+    for (const key of keys) {
+      if (!byFingerprint.has(key.fingerprint)) byFingerprint.set(key.fingerprint, key);
+    }
+  }
+
+  if (byFingerprint.size === 0) {
+    throw new SSHDError(`No valid SSH keys found in ${sources.map(s => s.source).join(', ')}`);
+  }
+
+  return restrictKeys([...byFingerprint.values()]);
+}
+
+/**
+ * Apply PIPELINE_SSH_KEY_OPTIONS, PIPELINE_SSH_KEY_TTL and PIPELINE_SSH_KEY_RESTRICTIONS
+ * @returns {Object[]} Keys with merged options, keys with invalid own options are dropped
+ * @throws {SSHDError} No key left
+ */
+function restrictKeys(keys) {
+  const restrictions = {
+    options: config.ssh.keyOptions,
+    ttl: config.ssh.keyTtl,
+    rules: parseRestrictions(config.ssh.keyRestrictions),
+    now: Date.now(),
+  };
+
+  const restricted = [];
+  for (const key of keys) {
+    try {
+      restricted.push(applyRestrictions(key, restrictions));
+    } catch (err) {
+      logger.warn(`Rejected key ${key.fingerprint} from ${key.source}: ${err.message}`);
+    }
+  }
+
+  if (restricted.length === 0) {
+    throw new SSHDError('No SSH keys with valid options left');
+  }
+  return restricted;
+}
+
+module.exports = {
+  parseKeys,
+  fetchUserKeys,
+  collectAuthorizedKeys,
+};
@@ -0,0 +1,418 @@
+/**
+ * cli.js - Command-line interface of the setup-ssh binary
+ *
+ * Every config setting has a flag (see lib/settings.js and provider schemas),
+ * passed to Config as CLI overrides on top of env, profile and config file.
+ */
+
+const SETTINGS = require('./settings');
+const { registry, loadExternalProviders } = require('./tunnels');
+const { logLevels } = require('./logger');
+const { ConfigError, UsageError } = require('./errors');
+const pkg = require('../package.json');
+
+const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+  config: 3,
+};
+
+const COMMANDS = {
+  run: 'Setup SSH server and tunnels (default)',
+  wait: 'Pause until a user connected and disconnected, or the continue file exists',
+  stop: 'Stop sshd/tunnels and undo changes made by run',
+  status: 'Show health of sshd and tunnels (exit code 1 if unhealthy)',
+  supervise: 'Restart crashed tunnels and republish changed endpoints',
+  prune: 'Delete stale Cloudflare tunnels',
+  help: 'Show this help',
+};
+
+// Options that are not config settings
+const CLI_OPTIONS = [
+  { flag: 'config', value: 'PATH', description: 'Config file (default: .setup-ssh.json / .setup-ssh.yml)' },
+  { flag: 'profile', value: 'NAME', description: 'Profile from the config file' },
+  { flag: 'tunnel', value: 'LIST', description: 'Enable only these tunnels, e.g. pinggy,sshj' },
+  { flag: 'log-level', value: 'LEVEL', description: `Log level: ${Object.keys(logLevels).join(', ')}` },
+  { flag: 'json', description: 'Print result as JSON (status, stop, prune, wait; run: same as --output json)' },
+  { flag: 'older-than', value: 'HOURS', type: 'number', description: 'prune: minimum tunnel age' },
+  { flag: 'help', alias: 'h', description: 'Show this help' },
+  { flag: 'version', alias: 'v', description: 'Show version' },
+];
+
+const GROUP_TITLES = {
+  ssh: 'SSH Server',
+  timeouts: 'Timeouts',
+  templates: 'Templates',
+  downloads: 'Download URLs',
+  paths: 'Binary Paths',
+  persistence: 'Persistence',
+  supervisor: 'Supervisor',
+  wait: 'Wait for User',
+  log: 'Logging',
+  output: 'Output',
+};
+
+const toCamel = flag => flag.replace(/-([a-z])/g, (_m, c) => c.toUpperCase());
+
+/**
+ * Flags of all config settings, including registered tunnel providers
+ * @returns {Object[]} { flag, key, type, env, default, description, group }
+ */
+function getSettingOptions() {
+  const options = SETTINGS.map(spec => ({
+    type: 'string',
+    ...spec,
+    group: GROUP_TITLES[spec.key.split('.')[0]] || 'Other',
+  }));
+
+  for (const provider of registry.list()) {
+    for (const [key, spec] of Object.entries(provider.schema)) {
+      options.push({ ...spec, key: `tunnels.${provider.id}.${key}`, group: `Tunnel: ${provider.displayName}` });
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} { command, flags, overrides } with overrides keyed by setting key
+ */
+function parseArgs(argv) {
+  const options = new Map();
+  for (const option of [...CLI_OPTIONS, ...getSettingOptions()]) {
+    options.set(option.flag, option);
+    if (option.alias) options.set(option.alias, option);
+  }
+
+  const isSwitch = option => (option.key ? option.type === 'boolean' : !option.value);
+  const result = { command: null, flags: {}, overrides: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      if (result.command) {
+        throw new UsageError(`Unexpected argument: ${arg}`);
+      }
+      result.command = arg;
+      continue;
+    }
+
+    const [name, inline] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    let option = options.get(name);
+    let negated = false;
+
+    if (!option && name.startsWith('no-') && options.has(name.slice(3))) {
+      option = options.get(name.slice(3));
+      negated = true;
+    }
+
+    if (!option || (negated && !isSwitch(option))) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    let value;
+
+    if (isSwitch(option)) {
+      if (inline === undefined) {
+        value = !negated;
+      } else if (/^(1|true|yes|on)$/i.test(inline)) {
+        value = !negated;
+      } else if (/^(0|false|no|off)$/i.test(inline)) {
+        value = negated;
+      } else {
+        throw new UsageError(`--${option.flag} expects true or false, got: ${inline}`);
+      }
+    } else {
+      value = inline !== undefined ? inline : argv[++i];
+
+      if (value === undefined) {
+        throw new UsageError(`--${option.flag} requires a value`);
+      }
+      if ((option.type === 'int' || option.type === 'port') && !/^\d+$/.test(value)) {
+        throw new UsageError(`--${option.flag} expects a whole number, got: ${value}`);
+      }
+      if (option.type === 'number' && !/^\d+(\.\d+)?$/.test(value)) {
+        throw new UsageError(`--${option.flag} expects a number, got: ${value}`);
+      }
+    }
+
+    if (option.key) {
+      result.overrides[option.key] = value;
+    } else {
+      result.flags[toCamel(option.flag)] = value;
+    }
+  }
+
+  result.command = result.command || 'run';
+
+  if (!COMMANDS[result.command]) {
+    throw new UsageError(`Unknown command: ${result.command} (expected: ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  return result;
+}
+
+/**
+ * Values of options needed before the full parse, e.g. --config whose providers add flags
+ * @param {string[]} argv - Arguments without node and script path
+ * @param {string[]} names - Option flags without leading --
+ * @returns {Object} Values keyed by flag
+ */
+function peekOptions(argv, names) {
+  const found = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].replace(/^--?/, '').split(/=(.*)/s);
+    if (argv[i].startsWith('-') && names.includes(name)) {
+      found[name] = inline !== undefined ? inline : argv[++i];
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Turn --tunnel and --json into setting overrides
+ */
+function applyShorthands(flags, overrides, command = 'run') {
+  if (flags.tunnel !== undefined) {
+    const selected = flags.tunnel
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    for (const name of selected) {
+      if (!registry.get(name)) {
+        const known = registry.list().map(p => p.id);
+        throw new UsageError(`Unknown tunnel: ${name} (expected: ${known.join(', ')})`);
+      }
+    }
+
+    const ids = selected.map(name => registry.get(name).id);
+    for (const provider of registry.list()) {
+      const key = `tunnels.${provider.id}.enabled`;
+      if (!(key in overrides)) {
+        overrides[key] = ids.includes(provider.id);
+      }
+    }
+  }
+
+  // The result document of run is its JSON output
+  if (flags.json && command === 'run') {
+    if (overrides['output.format'] && overrides['output.format'] !== 'json') {
+      throw new UsageError(`--json conflicts with --output ${overrides['output.format']}`);
+    }
+    overrides['output.format'] = 'json';
+  }
+
+  if (flags.json && command === 'supervise') {
+    throw new UsageError('--json is not supported by supervise');
+  }
+
+  if (flags.logLevel !== undefined && !(flags.logLevel in logLevels)) {
+    throw new UsageError(`Invalid log level: ${flags.logLevel} (expected: ${Object.keys(logLevels).join(', ')})`);
+  }
+
+  return overrides;
+}
+
+/**
+ * Build --help text from commands, CLI options and the settings schema
+ */
+function formatHelp() {
+  const valueName = option => {
+    if (option.value) return option.value;
+    if (!option.key || option.type === 'boolean') return '';
+    if (option.enum) return option.enum.join('|');
+    if (option.type === 'port') return 'PORT';
+    return ['int', 'number'].includes(option.type) ? 'N' : option.type === 'list' ? 'LIST' : 'VALUE';
+  };
+
+  const label = option =>
+    [
+      option.alias ? `-${option.alias}, ` : '',
+      `--${option.flag}`,
+      valueName(option) ? ` ${valueName(option)}` : '',
+    ].join('');
+
+  const settings = getSettingOptions();
+  const width = Math.max(...[...CLI_OPTIONS, ...settings].map(o => label(o).length)) + 2;
+
+  const describe = option => {
+    const details = [];
+    if (option.env) details.push(option.env);
+    if (option.min !== undefined && option.max !== undefined) details.push(`${option.min}-${option.max}`);
+    else if (option.min !== undefined) details.push(`min: ${option.min}`);
+    if (![null, undefined, false].includes(option.default) && typeof option.default !== 'function') {
+      const value = Array.isArray(option.default) ? option.default.join(',') : option.default;
+      if (value !== '') details.push(`default: ${value}`);
+    }
+    return `${option.description || ''}${details.length ? ` [${details.join(', ')}]` : ''}`;
+  };
+
+  const lines = [`setup-ssh ${pkg.version} - SSH server and tunnels for CI runners`, '', 'Usage:'];
+  lines.push('  setup-ssh [command] [options]', '', 'Commands:');
+
+  const commandWidth = Math.max(...Object.keys(COMMANDS).map(c => c.length)) + 2;
+  for (const [name, description] of Object.entries(COMMANDS)) {
+    lines.push(`  ${name.padEnd(commandWidth)}${description}`);
+  }
+
+  lines.push('', 'Options:');
+  for (const option of CLI_OPTIONS) {
+    lines.push(`  ${label(option).padEnd(width)}${option.description}`);
+  }
+
+  let group = null;
+  for (const option of settings) {
+    if (option.group !== group) {
+      group = option.group;
+      lines.push('', `${group}:`);
+    }
+    lines.push(`  ${label(option).padEnd(width)}${describe(option)}`);
+  }
+
+  lines.push(
+    '',
+    'Boolean flags take --no-<flag> or --<flag>=false.',
+    'Precedence: flags > env > profile > config file > defaults.',
+    '',
+    'Exit codes: 0 success, 1 failure or unhealthy status, 2 usage error, 3 configuration error'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Send human output to stderr, stdout is reserved for the JSON document
+ * @returns {Function} Restores stdout
+ */
+function redirectToStderr(logger) {
+  const log = console.log;
+  logger.setStream(process.stderr);
+  console.log = console.error;
+
+  return () => {
+    console.log = log;
+    logger.setStream(process.stdout);
+  };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let jsonOutput = false;
+  let restoreOutput = () => {};
+  let setupSsh;
+
+  try {
+    // Loaded here so a broken config file ends with the config exit code
+    setupSsh = require('./index');
+    const { config, logger } = setupSsh;
+
+    // Flags of third-party providers (TUNNEL_PROVIDERS from env, config file or flag),
+    // so the config file named on the command line is read before parsing
+    const early = peekOptions(argv, ['config', 'profile', 'tunnel-providers']);
+    if (Object.keys(early).length > 0) {
+      const overrides = early['tunnel-providers'] !== undefined ? { tunnelProviders: early['tunnel-providers'] } : {};
+      config.load({ file: early.config, profile: early.profile, overrides });
+    }
+    loadExternalProviders(config);
+
+    const { command, flags, overrides } = parseArgs(argv);
+
+    if (flags.help || command === 'help') {
+      console.log(formatHelp());
+      return EXIT_CODES.ok;
+    }
+
+    if (flags.version) {
+      console.log(pkg.version);
+      return EXIT_CODES.ok;
+    }
+
+    applyShorthands(flags, overrides, command);
+
+    if (flags.logLevel) {
+      logger.setLevel(flags.logLevel);
+    }
+
+    config.load({ file: flags.config, profile: flags.profile, overrides });
+    logger.configure({ format: config.log.format, file: config.log.file });
+
+    if (command === 'run' && config.output.format === 'json') {
+      jsonOutput = true;
+      restoreOutput = redirectToStderr(logger);
+    }
+
+    if (command === 'run') {
+      config.validate();
+    }
+
+    const handlers = {
+      run: () => setupSsh.run(),
+      wait: () => setupSsh.waitForUser(),
+      stop: () => setupSsh.teardown(),
+      status: () => setupSsh.status(),
+      supervise: () => setupSsh.supervise(),
+      prune: () => setupSsh.prune(flags.olderThan !== undefined ? { maxAgeHours: parseFloat(flags.olderThan) } : {}),
+    };
+
+    const result = await handlers[command]();
+
+    if (jsonOutput) {
+      restoreOutput();
+      console.log(JSON.stringify(result.report, null, 2));
+    }
+
+    // Foreground tunnels keep running, their exit code becomes ours
+    if (command === 'run' && result.foreground.length > 0) {
+      return await result.waitForForeground();
+    }
+
+    if (command === 'status' && !flags.json) {
+      setupSsh.printStatus(result);
+    } else if (flags.json && command !== 'run') {
+      console.log(JSON.stringify(result, null, 2));
+    }
+
+    if (command === 'status' && !result.healthy) {
+      return EXIT_CODES.failure;
+    }
+
+    return EXIT_CODES.ok;
+  } catch (err) {
+    restoreOutput();
+
+    if (jsonOutput) {
+      console.log(JSON.stringify(err.report || setupSsh.buildReport({}, {}, err), null, 2));
+    }
+
+    console.error('❌ Error:', err.message);
+
+    if (err instanceof UsageError) {
+      console.error("Run 'setup-ssh --help' for usage.");
+    }
+    if (process.env.DEBUG === '1') {
+      console.error(err.stack);
+    }
+
+    if (err instanceof UsageError) return EXIT_CODES.usage;
+    if (err instanceof ConfigError) return EXIT_CODES.config;
+    return EXIT_CODES.failure;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  formatHelp,
+  main,
+};
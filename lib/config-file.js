@@ -0,0 +1,282 @@
+/**
+ * config-file.js - Find and parse .setup-ssh.json / .setup-ssh.yml
+ *
+ * YAML support covers what a settings file needs: nested mappings, block and
+ * flow lists of scalars, quoted strings, comments and `|` / `>` block scalars.
+ * Anchors, tags, flow mappings and multiple documents are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+// Looked up in the working directory, first match wins
+const DEFAULT_FILES = ['.setup-ssh.json', '.setup-ssh.yml', '.setup-ssh.yaml'];
+
+/**
+ * Remove a trailing # comment outside of quotes
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Split the items of a flow list on commas outside of quotes
+ */
+function splitFlowItems(inner) {
+  const items = [];
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < inner.length; i++) {
+    const c = inner[i];
+
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === ',') {
+      items.push(inner.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  items.push(inner.slice(start));
+  return items;
+}
+
+/**
+ * Parse a YAML subset into plain objects
+ * @param {string} text - YAML source
+ * @param {string} source - Name used in error messages
+ * @returns {*}
+ */
+function parseYaml(text, source = 'YAML') {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let pos = 0;
+
+  const fail = (message, lineIndex = pos) => {
+    throw new ConfigError(`${source}:${lineIndex + 1}: ${message}`, { file: source, line: lineIndex + 1 });
+  };
+
+  const content = i => stripComment(lines[i]).trim();
+
+  const indentOf = i => {
+    const indent = lines[i].match(/^[ \t]*/)[0];
+    if (indent.includes('\t')) fail('Tabs are not allowed for indentation', i);
+    return indent.length;
+  };
+
+  // Advance to the next line with content, return false at end of input
+  const nextLine = () => {
+    while (pos < lines.length && content(pos) === '') pos++;
+    return pos < lines.length;
+  };
+
+  const isListItem = text => text === '-' || text.startsWith('- ');
+
+  function parseScalar(text, lineIndex) {
+    if (text.startsWith('"')) {
+      try {
+        return JSON.parse(text);
+      } catch (_err) {
+        fail(`Invalid double-quoted string: ${text}`, lineIndex);
+      }
+    }
+
+    if (text.startsWith("'")) {
+      if (text.length < 2 || !text.endsWith("'")) fail(`Invalid single-quoted string: ${text}`, lineIndex);
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (text.startsWith('[')) {
+      if (!text.endsWith(']')) fail(`Unterminated flow list: ${text}`, lineIndex);
+      const inner = text.slice(1, -1).trim();
+      return inner ? splitFlowItems(inner).map(item => parseScalar(item.trim(), lineIndex)) : [];
+    }
+
+    if (/^[{&*!|>]/.test(text)) {
+      fail(`Unsupported YAML syntax: ${text}`, lineIndex);
+    }
+
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^(null|~)$/i.test(text)) return null;
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+
+    return text;
+  }
+
+  function parseBlockScalar(parentIndent, indicator) {
+    const body = [];
+
+    while (pos < lines.length && (lines[pos].trim() === '' || indentOf(pos) > parentIndent)) {
+      body.push(lines[pos]);
+      pos++;
+    }
+
+    while (body.length && body[body.length - 1].trim() === '') body.pop();
+    if (!body.length) return '';
+
+    const blockIndent = Math.min(...body.filter(l => l.trim()).map(l => l.match(/^ */)[0].length));
+    const text = body.map(l => l.slice(blockIndent));
+
+    let value = text.join('\n');
+
+    if (indicator.startsWith('>')) {
+      // Folded: lines are joined with spaces, blank lines become newlines
+      value = text.reduce((out, line) => {
+        if (line === '') return `${out}\n`;
+        return out === '' || out.endsWith('\n') ? out + line : `${out} ${line}`;
+      }, '');
+    }
+
+    return indicator.endsWith('-') ? value : `${value}\n`;
+  }
+
+  function parseList(indent) {
+    const list = [];
+
+    while (nextLine() && indentOf(pos) === indent && isListItem(content(pos))) {
+      const item = content(pos).slice(1).trim();
+      const lineIndex = pos++;
+
+      if (item === '') {
+        list.push(parseNode(indent + 1));
+      } else if (/^[^'"[\s][^:]*:(\s|$)/.test(item)) {
+        fail('Mappings inside lists are not supported', lineIndex);
+      } else {
+        list.push(parseScalar(item, lineIndex));
+      }
+    }
+
+    return list;
+  }
+
+  function parseMap(indent) {
+    const map = {};
+
+    while (nextLine()) {
+      const lineIndent = indentOf(pos);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) fail('Unexpected indentation');
+
+      const text = content(pos);
+      const match = !isListItem(text) && text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+      if (!match) fail(`Expected "key: value", got: ${text}`);
+
+      const key = /^["']/.test(match[1]) ? match[1].slice(1, -1) : match[1];
+      const rest = match[2];
+      const lineIndex = pos++;
+
+      if (rest === undefined || rest === '') {
+        // Lists are often written at the same indentation as their key
+        const sameIndentList = nextLine() && indentOf(pos) === indent && isListItem(content(pos));
+        map[key] = sameIndentList ? parseList(indent) : parseNode(indent + 1);
+      } else if (/^[|>][+-]?$/.test(rest)) {
+        map[key] = parseBlockScalar(indent, rest);
+      } else {
+        map[key] = parseScalar(rest, lineIndex);
+      }
+    }
+
+    return map;
+  }
+
+  function parseNode(minIndent) {
+    if (!nextLine() || indentOf(pos) < minIndent) return null;
+
+    const indent = indentOf(pos);
+    return isListItem(content(pos)) ? parseList(indent) : parseMap(indent);
+  }
+
+  // Optional document start marker
+  if (nextLine() && content(pos) === '---') pos++;
+
+  const result = parseNode(0);
+
+  if (nextLine() && content(pos) !== '...') {
+    fail('Unexpected content (multiple documents are not supported)');
+  }
+
+  return result;
+}
+
+/**
+ * Locate the config file: explicit path, or a default name in the working directory
+ * @param {string} [explicitPath] - Path from --config / SETUP_SSH_CONFIG
+ * @returns {string|null} Absolute path
+ */
+function findConfigFile(explicitPath) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${resolved}`, { file: resolved });
+    }
+    return resolved;
+  }
+
+  for (const name of DEFAULT_FILES) {
+    const candidate = path.resolve(name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Read and parse a config file (JSON, or YAML for .yml / .yaml)
+ * @returns {Object} Settings with optional `profiles` map
+ */
+function loadConfigFile(filePath) {
+  let text;
+
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new ConfigError(`Failed to read config file ${filePath}: ${err.message}`, { file: filePath });
+  }
+
+  let data;
+
+  if (/\.ya?ml$/i.test(filePath)) {
+    data = parseYaml(text, filePath);
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new ConfigError(`Invalid JSON in ${filePath}: ${err.message}`, { file: filePath });
+    }
+  }
+
+  if (data === null || data === undefined) return {};
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`Config file ${filePath} must contain a mapping of settings`, { file: filePath });
+  }
+
+  return data;
+}
+
+module.exports = {
+  DEFAULT_FILES,
+  parseYaml,
+  findConfigFile,
+  loadConfigFile,
+};
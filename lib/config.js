@@ -1,11 +1,108 @@
 /**
  * config.js - Configuration management for setup-ssh (Refactored)
  * Enhanced with validation, better defaults, and comprehensive ENV support
+ *
+ * Precedence: CLI overrides > env > profile > config file > defaults
  */
 
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { ConfigError } = require('./errors');
+const logger = require('./logger');
+const { registry } = require('./tunnels');
+const SETTINGS = require('./settings');
+const { findConfigFile, loadConfigFile } = require('./config-file');
+const { parseOptions, parseRestrictions } = require('./key-options');
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+// Prefixes checked for misspelled env vars, besides each provider's envPrefix
+const CHECKED_ENV_PREFIXES = ['SSH_', 'PINGGY_', 'SSHJ_', 'CF_'];
+
+// Env vars with a checked prefix that are not settings
+const IGNORED_ENV = [
+  // OpenSSH client and server
+  'SSH_AUTH_SOCK',
+  'SSH_AGENT_PID',
+  'SSH_ASKPASS',
+  'SSH_ASKPASS_REQUIRE',
+  'SSH_CLIENT',
+  'SSH_CONNECTION',
+  'SSH_ORIGINAL_COMMAND',
+  'SSH_SK_PROVIDER',
+  'SSH_TTY',
+  'SSH_USER_AUTH',
+  // Cloudflare API clients
+  'CF_ACCOUNT_ID',
+  'CF_API_EMAIL',
+  'CF_API_KEY',
+  'CF_API_TOKEN',
+  'CF_ZONE_ID',
+  // Published by a previous run (pipeline variables)
+  'CF_SSH_COMMAND',
+  'CF_TUNNEL_URL',
+  'PINGGY_ENDPOINT',
+  'PINGGY_SSH_COMMAND',
+  'SSHJ_CONNECT',
+];
+
+/**
+ * Levenshtein distance, used to suggest the intended env var name
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_v, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Read dotted key from nested object
+ */
+function getPath(obj, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), obj);
+}
+
+/**
+ * Set dotted key on nested object, creating intermediate objects
+ */
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), obj);
+  parent[last] = value;
+}
+
+/**
+ * List dotted keys of all leaf values (arrays are leaves)
+ */
+function flattenKeys(obj, prefix = '') {
+  return Object.entries(obj || {}).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? flattenKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+}
+
+/**
+ * Mask a secret setting in logs and on the CI runner, plus the auth token of URLs (RTDB)
+ */
+function registerSecret(value) {
+  logger.registerSecret(value);
+
+  const auth = String(value).match(/[?&]auth=([^&#]+)/);
+  if (auth) logger.registerSecret(auth[1]);
+}
 
 class Config {
   constructor() {
@@ -15,129 +112,201 @@ class Config {
     this.isLinux = this.platform === 'linux';
     this.isDarwin = this.platform === 'darwin';
 
-    this.init();
+    this.load();
   }
 
-  init() {
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // 📥 DOWNLOAD URLs - Multi-platform support
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.downloads = {
-      cloudflared: this.getCloudflaredUrl(),
-      pinggy: process.env.PINGGY_DOWNLOAD_URL || 'https://pinggy.io/pinggy',
-      sshj: this.getSshjUrl(),
-    };
+  /**
+   * (Re)load configuration from config file, profile, env and CLI overrides
+   * @param {Object} options - { file, profile, overrides: { 'ssh.port': '2200', ... } }
+   * @returns {Config} this
+   */
+  load(options = {}) {
+    const configPath = findConfigFile(options.file || process.env.SETUP_SSH_CONFIG);
+    const fileData = configPath ? loadConfigFile(configPath) : {};
+    const { profiles = {}, ...settings } = fileData;
+    const profileName = options.profile || process.env.SETUP_SSH_PROFILE || null;
+
+    if (profileName && !profiles[profileName]) {
+      const available = Object.keys(profiles).join(', ') || 'none';
+      throw new ConfigError(`Unknown profile '${profileName}' (available: ${available})`, {
+        profile: profileName,
+        file: configPath,
+      });
+    }
 
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // 📂 PATHS - Binary installation paths
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.paths = {
-      cloudflared: this.getCloudflaredPath(),
-      pinggy: this.getPinggyPath(),
-      sshj: this.getSshjPath(),
-      sshd: this.getSshdPath(),
-    };
+    this.configFile = configPath;
+    this.profiles = profiles;
+    this.profile = profileName;
+    this.fileSettings = settings;
+    this.profileSettings = profileName ? profiles[profileName] : {};
+    this.overrides = options.overrides || {};
+    this.sources = {};
+    this.specs = {};
+    this.errors = [];
+    this.warned = new Set();
 
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // ⏱️ TIMEOUTS - Configurable timeouts in milliseconds
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.timeouts = {
-      portWait: parseInt(process.env.SSH_PORT_TIMEOUT || '8000', 10),
-      cfEndpoint: parseInt(process.env.CF_ENDPOINT_TIMEOUT || '15000', 10),
-      httpRequest: parseInt(process.env.HTTP_REQUEST_TIMEOUT || '8000', 10),
-      tunnelStartup: parseInt(process.env.TUNNEL_STARTUP_TIMEOUT || '10000', 10),
-      downloadTimeout: parseInt(process.env.DOWNLOAD_TIMEOUT || '30000', 10),
-    };
+    this.init();
+    return this;
+  }
 
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // 📄 TEMPLATES - Config templates (support base64 encoding)
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.templates = {
-      sshdConfig: this.loadTemplate('SSHD_CONFIG_TEMPLATE'),
-      cloudflaredConfig: this.loadTemplate('CLOUDFLARED_CONFIG_TEMPLATE'),
-    };
+  init() {
+    for (const spec of SETTINGS) {
+      setPath(this, spec.key, this.resolve(spec.key, spec));
+    }
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // 🔧 SSH Configuration
+    // 🔧 Derived values
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.ssh = {
-      port: process.env.SSH_PORT || '2222',
-      mode: (process.env.SSH_MODE || 'auto').toLowerCase(),
-      allowUsers: this.parseAllowUsers(process.env.SSH_ALLOW_USERS),
-      defaultCwd: process.env.SSH_DEFAULT_CWD || null,
-      disableForceCwd: process.env.SSH_DISABLE_FORCE_CWD === '1',
-      listenAddress: process.env.SSH_LISTEN_ADDRESS || '127.0.0.1',
-      publicKey: process.env.PIPELINE_SSH_PUBKEY || null,
-    };
+    this.persistence.rtdb.enabled = !!(this.persistence.rtdb.url && this.persistence.rtdb.id);
+    this.persistence.ntfy.enabled = !!this.persistence.ntfy.topic;
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // 🚇 Tunnel Configuration
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.tunnels = {
-      pinggy: {
-        enabled: process.env.PINGGY_ENABLE === '1',
-        foreground: process.env.PINGGY_FOREGROUND === '1',
-        targetHost: process.env.PINGGY_TARGET_HOST || 'localhost',
-        targetPort: process.env.PINGGY_TARGET_PORT || null,
-        regionHost: process.env.PINGGY_REGION_HOST || 'a.pinggy.io',
-      },
-      sshj: {
-        enabled: process.env.SSHJ_ENABLE === '1',
-        foreground: process.env.SSHJ_FOREGROUND === '1',
-        host: process.env.SSHJ_HOST || 'ssh-j.com',
-        namespace: process.env.SSHJ_NAMESPACE || null,
-        device: process.env.SSHJ_DEVICE || null,
-        devicePort: process.env.SSHJ_DEVICE_PORT || '22',
-        localHost: process.env.SSHJ_LOCAL_HOST || 'localhost',
-        localPort: process.env.SSHJ_LOCAL_PORT || null,
-      },
-      cloudflare: {
-        enabled: process.env.CF_ENABLE === '1',
-        foreground: process.env.CLOUDFLARED_FOREGROUND === '1',
-        apiKey: process.env.CLOUDFLARED_APIKEY || null,
-        tunnelName: process.env.CLOUDFLARED_TUNNEL_NAME || null,
-        targetHost: process.env.CLOUDFLARED_TARGET_HOST || 'localhost',
-        targetPort: process.env.CLOUDFLARED_TARGET_PORT || null,
-      },
-    };
-
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // 💾 Persistence Configuration
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.persistence = {
-      rtdb: {
-        enabled: !!(process.env.ENV_SSH_URLS && process.env.ENV_SSH_URLS_ID),
-        url: process.env.ENV_SSH_URLS || null,
-        id: process.env.ENV_SSH_URLS_ID || null,
-      },
-      ntfy: {
-        enabled: !!process.env.ENV_NTFY_TOPIC,
-        topic: process.env.ENV_NTFY_TOPIC || null,
-        url: process.env.NTFY_URL || 'https://ntfy.sh',
-      },
-    };
-
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // 🔧 Other settings
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    this.maxTunnelNameLength = parseInt(process.env.MAX_TUNNEL_NAME_LENGTH || '28', 10);
-    this.dryRun = process.env.DRY_RUN === '1';
+    // Settings come from each provider's schema (see lib/tunnels/registry.js)
+    this.tunnels = {};
+    this.initTunnels();
   }
 
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   // 🔧 Helper Methods
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-  parseAllowUsers(value) {
+  /**
+   * Resolve one setting from the first source that sets it and record the source
+   *
+   * Invalid values are collected in this.errors (reported by validate()) and
+   * the default is used instead.
+   *
+   * @param {string} key - Dotted key, e.g. 'ssh.port'
+   * @param {Object} spec - { env, flag, type, default, min, max, enum, secret }
+   */
+  resolve(key, spec) {
+    const envValue = process.env[spec.env];
+    const candidates = [
+      ['cli', this.overrides[key]],
+      ['env', envValue === '' ? undefined : envValue],
+      [`profile ${this.profile}`, getPath(this.profileSettings, key)],
+      ['file', getPath(this.fileSettings, key)],
+    ];
+
+    this.specs[key] = spec;
+
+    for (const [source, raw] of candidates) {
+      if (raw === undefined || raw === null) continue;
+
+      try {
+        const value = this.coerce(raw, spec);
+        this.sources[key] = source;
+        if (spec.secret) registerSecret(value);
+        return value;
+      } catch (err) {
+        const got = spec.secret ? '' : ` (got '${raw}')`;
+        this.errors.push(`${this.describeSource(key, spec, source)} ${err.message}${got}`);
+        break;
+      }
+    }
+
+    this.sources[key] = 'default';
+    const value = typeof spec.default === 'function' ? spec.default(this) : spec.default;
+    return Array.isArray(value) ? [...value] : value;
+  }
+
+  /**
+   * Name of a setting as the user wrote it, e.g. 'SSH_PORT' or '--port'
+   */
+  describeSource(key, spec, source) {
+    const fileName = this.configFile ? path.basename(this.configFile) : 'config file';
+
+    if (source === 'cli') return `--${spec.flag}`;
+    if (source === 'env') return spec.env;
+    if (source === 'file') return `${key} in ${fileName}`;
+    return `profiles.${this.profile}.${key} in ${fileName}`;
+  }
+
+  /**
+   * Convert env strings and config file values to the setting type and check range/enum
+   * @throws {ConfigError} Value does not match the schema
+   */
+  coerce(raw, spec = {}) {
+    const text = String(raw).trim();
+    let value;
+
+    switch (spec.type) {
+      case 'boolean':
+        if (typeof raw === 'boolean') return raw;
+        if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+        if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+        throw new ConfigError('must be true or false');
+      case 'int':
+      case 'port':
+        if (!/^-?\d+$/.test(text)) throw new ConfigError('must be a whole number');
+        // Ports stay strings, they are interpolated into commands and configs
+        value = spec.type === 'port' ? text : parseInt(text, 10);
+        break;
+      case 'number':
+        if (!/^-?\d+(\.\d+)?$/.test(text)) throw new ConfigError('must be a number');
+        value = parseFloat(text);
+        break;
+      case 'list':
+        return Array.isArray(raw) ? raw.map(String) : this.parseList(String(raw));
+      case 'template':
+        return this.decodeTemplate(String(raw));
+      default:
+        value = String(raw);
+    }
+
+    if (spec.enum) {
+      value = value.toLowerCase();
+      if (!spec.enum.includes(value)) {
+        throw new ConfigError(`must be one of: ${spec.enum.join(', ')}`);
+      }
+    }
+
+    const min = spec.min ?? (spec.type === 'port' ? 1 : undefined);
+    const max = spec.max ?? (spec.type === 'port' ? 65535 : undefined);
+    const number = Number(value);
+
+    if (min !== undefined && max !== undefined && (number < min || number > max)) {
+      throw new ConfigError(`must be between ${min} and ${max}`);
+    }
+    if (min !== undefined && number < min) {
+      throw new ConfigError(`must be at least ${min}`);
+    }
+    if (max !== undefined && number > max) {
+      throw new ConfigError(`must be at most ${max}`);
+    }
+
+    return value;
+  }
+
+  parseList(value) {
     if (!value) return [];
     return value.split(/[,\s]+/).filter(Boolean);
   }
 
-  getCloudflaredUrl() {
-    if (process.env.CLOUDFLARED_DOWNLOAD_URL) {
-      return process.env.CLOUDFLARED_DOWNLOAD_URL;
+  /**
+   * Read settings of registered tunnel providers that are not loaded yet
+   */
+  initTunnels() {
+    for (const provider of registry.list()) {
+      if (!this.tunnels[provider.id]) {
+        this.tunnels[provider.id] = this.readTunnelConfig(provider);
+      }
+    }
+  }
+
+  readTunnelConfig(provider) {
+    const settings = {};
+
+    for (const [key, spec] of Object.entries(provider.schema)) {
+      settings[key] = this.resolve(`tunnels.${provider.id}.${key}`, spec);
     }
 
+    return settings;
+  }
+
+  getCloudflaredUrl() {
     const baseUrl = 'https://github.com/cloudflare/cloudflared/releases/latest/download';
 
     const platformUrls = {
@@ -161,10 +330,6 @@ class Config {
   }
 
   getSshjUrl() {
-    if (process.env.SSHJ_DOWNLOAD_URL) {
-      return process.env.SSHJ_DOWNLOAD_URL;
-    }
-
     const baseUrl = 'https://github.com/ssh-j/cli/releases/latest/download';
 
     const platformUrls = {
@@ -183,10 +348,6 @@ class Config {
   }
 
   getCloudflaredPath() {
-    if (process.env.CLOUDFLARED_PATH) {
-      return process.env.CLOUDFLARED_PATH;
-    }
-
     if (this.isWindows) {
       return path.join(os.homedir(), '.cloudflared', 'cloudflared.exe');
     }
@@ -195,10 +356,6 @@ class Config {
   }
 
   getPinggyPath() {
-    if (process.env.PINGGY_PATH) {
-      return process.env.PINGGY_PATH;
-    }
-
     if (this.isWindows) {
       return path.join(os.homedir(), '.pinggy', 'pinggy.exe');
     }
@@ -207,10 +364,6 @@ class Config {
   }
 
   getSshjPath() {
-    if (process.env.SSHJ_PATH) {
-      return process.env.SSHJ_PATH;
-    }
-
     if (this.isWindows) {
       return path.join(os.homedir(), '.sshj', 'sshj.exe');
     }
@@ -219,10 +372,6 @@ class Config {
   }
 
   getSshdPath() {
-    if (process.env.SSHD_PATH) {
-      return process.env.SSHD_PATH;
-    }
-
     const paths = {
       linux: '/usr/sbin/sshd',
       darwin: '/usr/sbin/sshd',
@@ -232,18 +381,15 @@ class Config {
     return paths[this.platform] || '/usr/sbin/sshd';
   }
 
-  loadTemplate(envVarName) {
-    const envValue = process.env[envVarName];
-
-    if (!envValue) {
-      return null;
-    }
-
+  /**
+   * Decode a template given raw or base64 encoded
+   */
+  decodeTemplate(value) {
     const base64Regex = /^[A-Za-z0-9+/]+=*$/;
 
-    if (base64Regex.test(envValue.trim())) {
+    if (base64Regex.test(value.trim())) {
       try {
-        const decoded = Buffer.from(envValue.trim(), 'base64').toString('utf8');
+        const decoded = Buffer.from(value.trim(), 'base64').toString('utf8');
 
         if (decoded.includes('\n') || /^[ -~\n\r\t]+$/.test(decoded)) {
           return decoded;
@@ -253,7 +399,7 @@ class Config {
       }
     }
 
-    return envValue;
+    return value;
   }
 
   renderTemplate(template, vars) {
@@ -302,37 +448,80 @@ ingress:
   - service: http_status:404`;
   }
 
-  validate() {
-    const errors = [];
-
-    // Required: SSH public key
-    if (!this.ssh.publicKey) {
-      errors.push('PIPELINE_SSH_PUBKEY is required');
+  /**
+   * Env vars with a setting prefix that match no setting, e.g. PINGGY_ENABLED
+   * @param {Object} env - Environment to check (default: process.env)
+   * @returns {string[]} Warnings naming the closest known variable
+   */
+  checkEnv(env = process.env) {
+    const providers = registry.list();
+    const known = [
+      ...SETTINGS.map(spec => spec.env),
+      ...providers.flatMap(provider => Object.values(provider.schema).map(spec => spec.env)),
+    ];
+    const ignored = new Set([...known, ...IGNORED_ENV]);
+    const prefixes = [...CHECKED_ENV_PREFIXES, ...providers.map(provider => provider.envPrefix)];
+    const warnings = [];
+
+    for (const name of Object.keys(env).sort()) {
+      if (ignored.has(name) || !prefixes.some(prefix => name.startsWith(prefix))) continue;
+
+      const [closest] = known
+        .map(candidate => [candidate, editDistance(name, candidate)])
+        .filter(([, distance]) => distance <= 3)
+        .sort((a, b) => a[1] - b[1]);
+
+      warnings.push(`Unknown environment variable ${name}${closest ? ` (did you mean ${closest[0]}?)` : ''}`);
     }
 
-    // Validate SSH mode
-    if (!['auto', 'root', 'user'].includes(this.ssh.mode)) {
-      errors.push('SSH_MODE must be: auto, root, or user');
-    }
+    return warnings;
+  }
 
-    // Validate SSH port
-    const port = parseInt(this.ssh.port, 10);
-    if (isNaN(port) || port < 1 || port > 65535) {
-      errors.push('SSH_PORT must be between 1-65535');
+  /**
+   * Check all settings and report every problem at once
+   * @throws {ConfigError} Listing all invalid or missing settings
+   */
+  validate() {
+    // Values that did not match their schema (type, range, enum)
+    const errors = [...this.errors];
+
+    // Required: at least one source of public keys (see lib/authorized-keys.js)
+    const { publicKey, publicKeyFile, githubUsers, authorizeActor } = this.ssh;
+    if (!publicKey && !publicKeyFile && githubUsers.length === 0 && !authorizeActor) {
+      errors.push(
+        'PIPELINE_SSH_PUBKEY is required (or PIPELINE_SSH_PUBKEY_FILE, PIPELINE_SSH_GITHUB_USERS, PIPELINE_SSH_AUTHORIZE_ACTOR)'
+      );
+    } else if (publicKeyFile && !fs.existsSync(publicKeyFile)) {
+      errors.push(`PIPELINE_SSH_PUBKEY_FILE does not exist: ${publicKeyFile}`);
+    }
+    if ((githubUsers.length > 0 || authorizeActor) && !/^https?:\/\/[^/\s]+/.test(this.ssh.keysUrl || '')) {
+      errors.push(`PIPELINE_SSH_KEYS_URL must be an http(s) URL (got '${this.ssh.keysUrl}')`);
     }
 
-    // Validate timeouts
-    if (this.timeouts.portWait < 1000) {
-      errors.push('SSH_PORT_TIMEOUT must be >= 1000ms');
+    // Key restrictions (see lib/key-options.js)
+    try {
+      if (this.ssh.keyOptions) parseOptions(this.ssh.keyOptions);
+    } catch (err) {
+      errors.push(`PIPELINE_SSH_KEY_OPTIONS: ${err.message}`);
+    }
+    try {
+      parseRestrictions(this.ssh.keyRestrictions);
+    } catch (err) {
+      errors.push(err.message);
     }
 
-    if (this.timeouts.cfEndpoint < 5000) {
-      errors.push('CF_ENDPOINT_TIMEOUT must be >= 5000ms');
+    // Validate tunnel configs (Cloudflare without API key falls back to a quick tunnel)
+    const { tailscale } = this.tunnels;
+    if (tailscale.enabled && (!tailscale.clientSecret || !tailscale.tags)) {
+      errors.push('TAILSCALE_CLIENT_SECRET and TAILSCALE_TAGS are required when TAILSCALE_ENABLE=1');
     }
 
-    // Validate tunnel configs
-    if (this.tunnels.cloudflare.enabled && !this.tunnels.cloudflare.apiKey) {
-      errors.push('CLOUDFLARED_APIKEY is required when CF_ENABLE=1');
+    const reverseSsh = this.tunnels['reverse-ssh'];
+    if (reverseSsh.enabled && (!reverseSsh.host || !reverseSsh.user)) {
+      errors.push('REVERSE_SSH_HOST and REVERSE_SSH_USER are required when REVERSE_SSH_ENABLE=1');
+    }
+    if (reverseSsh.enabled && !reverseSsh.hostKey && !reverseSsh.trustOnFirstUse) {
+      errors.push('REVERSE_SSH_HOST_KEY is required when REVERSE_SSH_ENABLE=1 (or REVERSE_SSH_TRUST_ON_FIRST_USE=1)');
     }
 
     // Validate persistence
@@ -342,24 +531,96 @@ ingress:
       }
     }
 
+    // Validate config file keys, typos would otherwise be ignored silently
+    if (this.configFile) {
+      const fileName = path.basename(this.configFile);
+      const keys = flattenKeys(this.fileSettings).map(key => [key, key]);
+      for (const [name, settings] of Object.entries(this.profiles)) {
+        keys.push(...flattenKeys(settings).map(key => [key, `profiles.${name}.${key}`]));
+      }
+
+      for (const [key, label] of keys) {
+        if (!(key in this.sources)) {
+          errors.push(`Unknown setting '${label}' in ${fileName}`);
+        }
+      }
+    }
+
+    // validate() runs in the CLI and in run(), each warning is logged (and annotated in CI) once
+    for (const warning of this.checkEnv().filter(w => !this.warned.has(w))) {
+      this.warned.add(warning);
+      logger.warn(warning);
+    }
+
     if (errors.length > 0) {
       throw new ConfigError(`Configuration validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
     }
   }
 
+  /**
+   * Current values of settings marked secret
+   * @returns {string[]}
+   */
+  getSecretValues() {
+    return Object.entries(this.specs)
+      .filter(([, spec]) => spec.secret)
+      .map(([key]) => getPath(this, key))
+      .filter(Boolean)
+      .map(String);
+  }
+
+  /**
+   * Register current secret values with the logger, including ones set in code after load()
+   */
+  registerSecrets() {
+    this.getSecretValues().forEach(registerSecret);
+  }
+
+  /**
+   * Setting value for display, secrets masked and long values shortened
+   */
+  formatValue(key) {
+    const spec = this.specs[key] || {};
+    const value = getPath(this, key);
+
+    if (spec.secret) return value ? '********' : '';
+    if (spec.type === 'template') return `<${String(value).length} characters>`;
+
+    const text = Array.isArray(value) ? value.join(',') : String(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
   printSummary() {
+    const from = key => `(${this.sources[key]})`;
+
     console.log('\n📋 Configuration Summary:');
     console.log('  Platform:', this.platform, this.arch);
-    console.log('  SSH Port:', this.ssh.port);
-    console.log('  SSH Mode:', this.ssh.mode);
+    if (this.configFile) {
+      console.log('  Config File:', this.configFile, this.profile ? `(profile: ${this.profile})` : '');
+    }
+    console.log('  SSH Port:', this.ssh.port, from('ssh.port'));
+    console.log('  SSH Mode:', this.ssh.mode, from('ssh.mode'));
     console.log('\n  Timeouts:');
-    console.log('    Port Wait:', this.timeouts.portWait + 'ms');
-    console.log('    CF Endpoint:', this.timeouts.cfEndpoint + 'ms');
-    console.log('    HTTP Request:', this.timeouts.httpRequest + 'ms');
+    console.log('    Port Wait:', this.timeouts.portWait + 'ms', from('timeouts.portWait'));
+    console.log('    CF Endpoint:', this.timeouts.cfEndpoint + 'ms', from('timeouts.cfEndpoint'));
+    console.log('    HTTP Request:', this.timeouts.httpRequest + 'ms', from('timeouts.httpRequest'));
     console.log('\n  Tunnels:');
-    console.log('    Pinggy:', this.tunnels.pinggy.enabled ? 'Enabled' : 'Disabled');
-    console.log('    SSH-J:', this.tunnels.sshj.enabled ? 'Enabled' : 'Disabled');
-    console.log('    Cloudflare:', this.tunnels.cloudflare.enabled ? 'Enabled' : 'Disabled');
+    for (const provider of registry.list()) {
+      const enabled = this.tunnels[provider.id] && this.tunnels[provider.id].enabled;
+      console.log(
+        `    ${provider.displayName}:`,
+        enabled ? 'Enabled' : 'Disabled',
+        from(`tunnels.${provider.id}.enabled`)
+      );
+    }
+
+    const changed = Object.entries(this.sources).filter(([, source]) => source !== 'default');
+    if (changed.length > 0) {
+      console.log('\n  Settings not using defaults:');
+      for (const [key, source] of changed) {
+        console.log(`    ${key}: ${this.formatValue(key)} (${source})`);
+      }
+    }
     console.log('');
   }
 }
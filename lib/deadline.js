@@ -0,0 +1,84 @@
+/**
+ * deadline.js - When the CI platform ends the job, and the SSH session with it
+ *
+ * Taken from the platform adapter where the platform exposes the job timeout
+ * (GitLab, Buildkite), otherwise from timeouts.job counted from the job start.
+ * Later processes (supervisor, wait) read it back from the state file, their
+ * own start time says nothing about the job.
+ */
+
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const logger = require('./logger');
+const utils = require('./utils');
+const BasePlatform = require('./platforms/base');
+
+// Remaining time at which to warn, once each
+const WARN_BEFORE = [15 * 60000, 5 * 60000, 60000];
+
+/**
+ * Job deadline
+ * @param {Object} session - State manifest with sessionEndsAt of an earlier run (optional)
+ * @returns {Object|null} { endsAt: Date, source: platform name | 'JOB_TIMEOUT' | 'state' }, null if unknown
+ */
+function getDeadline(session = null) {
+  if (session && session.sessionEndsAt) {
+    return { endsAt: new Date(session.sessionEndsAt), source: 'state' };
+  }
+
+  const platform = hostrunner.getPlatform();
+  const endsAt = platform && platform.jobDeadline();
+  if (endsAt) {
+    return { endsAt, source: platform.name };
+  }
+
+  if (!config.timeouts.job) return null;
+
+  const startedAt = (platform || new BasePlatform()).jobStartedAt();
+  return { endsAt: new Date(startedAt.getTime() + config.timeouts.job), source: 'JOB_TIMEOUT' };
+}
+
+/**
+ * Time left until the deadline
+ * @returns {number} Milliseconds, Infinity without deadline
+ */
+function remaining(deadline, now = Date.now()) {
+  return deadline ? Math.max(0, deadline.endsAt.getTime() - now) : Infinity;
+}
+
+/**
+ * Warner for loops that outlive setup (wait, supervisor)
+ *
+ * Each call warns once when the remaining time dropped below the next of
+ * WARN_BEFORE; thresholds already passed at the first call collapse into one warning.
+ *
+ * @returns {Function} (now?) => remaining ms
+ */
+function createWarner(deadline, thresholds = WARN_BEFORE) {
+  const pending = [...thresholds].sort((a, b) => b - a);
+
+  return (now = Date.now()) => {
+    const left = remaining(deadline, now);
+
+    let crossed = false;
+    while (pending.length > 0 && left <= pending[0]) {
+      pending.shift();
+      crossed = true;
+    }
+
+    if (crossed) {
+      logger.warn(
+        `The CI job ends in ${utils.formatDuration(left)} (${deadline.endsAt.toISOString()}), ` +
+          'SSH sessions and tunnels end with it'
+      );
+    }
+    return left;
+  };
+}
+
+module.exports = {
+  WARN_BEFORE,
+  getDeadline,
+  remaining,
+  createWarner,
+};
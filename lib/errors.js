@@ -33,6 +33,16 @@ class ConfigError extends SetupSSHError {
   }
 }
 
+/**
+ * Error for invalid command-line usage
+ */
+class UsageError extends SetupSSHError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = 'UsageError';
+  }
+}
+
 /**
  * Error for download operations
  */
@@ -101,6 +111,7 @@ class TimeoutError extends SetupSSHError {
 module.exports = {
   SetupSSHError,
   ConfigError,
+  UsageError,
   DownloadError,
   TunnelError,
   SSHDError,
@@ -0,0 +1,14 @@
+/**
+ * events.js - Lifecycle events emitted by run() and the supervisor
+ *
+ * Events:
+ *   phase:start      { phase: 'ssh' | 'tunnels' | 'persist' | 'wait' }
+ *   ssh:ready        SSH result of run() (mode, port, pid, logPath, hostKeys, ...)
+ *   tunnel:endpoint  { tunnelType, provider, endpoint, connectCommand }
+ *   tunnel:error     { tunnelType, provider, error }
+ *   persist:done     { rtdb, ntfy }
+ */
+
+const { EventEmitter } = require('events');
+
+module.exports = new EventEmitter();
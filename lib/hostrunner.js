@@ -5,6 +5,8 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const plan = require('./plan');
+const { detectPlatform } = require('./platforms');
 
 /**
  * Check if running in CI environment
@@ -15,29 +17,28 @@ function isLikelyCI() {
     process.env.GITHUB_ACTIONS ||
     process.env.TF_BUILD ||
     process.env.AGENT_ID ||
-    process.env.BUILD_BUILDID
+    process.env.BUILD_BUILDID ||
+    getPlatform()
   );
 }
 
+/**
+ * Adapter of the CI platform the process runs on (see lib/platforms/)
+ * @returns {BasePlatform|null}
+ */
+function getPlatform() {
+  return detectPlatform(process.env);
+}
+
 /**
  * Detect default working directory based on CI environment
  * Priority order:
- * 1. SYSTEM_DEFAULTWORKINGDIRECTORY (Azure)
- * 2. BUILD_SOURCESDIRECTORY (Azure)
- * 3. BUILD_REPOSITORY_LOCALPATH (Azure)
- * 4. AGENT_BUILDDIRECTORY (Azure)
- * 5. GITHUB_WORKSPACE (GitHub)
- * 6. process.cwd() (fallback)
+ * 1. Workspace of the CI platform (GITHUB_WORKSPACE, CI_PROJECT_DIR, WORKSPACE, ...)
+ * 2. process.cwd() (fallback)
  */
 function detectDefaultCwd() {
-  const candidates = [
-    process.env.SYSTEM_DEFAULTWORKINGDIRECTORY,
-    process.env.BUILD_SOURCESDIRECTORY,
-    process.env.BUILD_REPOSITORY_LOCALPATH,
-    process.env.AGENT_BUILDDIRECTORY,
-    process.env.GITHUB_WORKSPACE,
-    process.cwd(),
-  ].filter(Boolean);
+  const platform = getPlatform();
+  const candidates = [platform && platform.workspace(), process.cwd()].filter(Boolean);
 
   for (const p of candidates) {
     try {
@@ -59,15 +60,9 @@ function detectDefaultCwd() {
  * Get repository name from CI environment
  */
 function getRepoName() {
-  // Azure Pipelines
-  const az = process.env.BUILD_REPOSITORY_NAME;
-  if (az) return az;
-
-  // GitHub Actions
-  const gh = process.env.GITHUB_REPOSITORY;
-  if (gh && gh.includes('/')) {
-    return gh.split('/').pop();
-  }
+  const platform = getPlatform();
+  const name = platform && platform.repoName();
+  if (name) return name;
 
   // Fallback to current directory name
   return path.basename(process.cwd());
@@ -77,52 +72,54 @@ function getRepoName() {
  * Get unique runner ID from CI environment
  */
 function getRunnerId() {
-  return (
-    process.env.AGENT_ID ||
-    process.env.BUILD_BUILDID ||
-    process.env.BUILD_BUILDNUMBER ||
-    process.env.GITHUB_RUN_ID ||
-    process.env.GITHUB_RUN_NUMBER ||
-    process.env.RUNNER_NAME ||
-    Date.now().toString()
-  );
+  const platform = getPlatform();
+  return (platform && platform.runId()) || Date.now().toString();
 }
 
 /**
- * Set pipeline variable for Azure Pipelines or GitHub Actions
+ * Set pipeline variable for later steps of the CI platform
+ *
+ * GitHub Actions: step output (SETUP_SSH_EXPORT_ENV=1 also exports to GITHUB_ENV);
+ * Azure: pipeline variable; CircleCI: BASH_ENV; Buildkite: build meta-data;
+ * GitLab, Jenkins, Bitbucket, Drone, Woodpecker: setup-ssh.env in the workspace.
+ *
  * @param {string} name - Variable name
  * @param {string} value - Variable value
+ * @param {Object} options - { secret: mask the value in logs (Azure secret variable, GitHub add-mask) }
  */
-function setPipelineVar(name, value) {
+function setPipelineVar(name, value, options = {}) {
   const v = String(value ?? '');
 
-  // Azure Pipelines
-  if (process.env.TF_BUILD) {
-    console.log(`##vso[task.setvariable variable=${name}]${v}`);
-    logger.debug(`Set Azure pipeline variable: ${name}`);
+  if (options.secret) {
+    logger.registerSecret(v);
   }
 
-  // GitHub Actions
-  if (process.env.GITHUB_ENV) {
-    try {
-      fs.appendFileSync(process.env.GITHUB_ENV, `${name}=${v}\n`);
-      logger.debug(`Set GitHub Actions variable: ${name}`);
-    } catch (err) {
-      logger.warn(`Failed to set GitHub variable ${name}: ${err.message}`);
-    }
+  if (plan.isActive()) {
+    plan.record('variable', { name, value: v });
+    return;
+  }
+
+  const platform = getPlatform();
+  if (!platform) return;
+
+  // Config required here, the logger loads this module while config is loading
+  const exportEnv = require('./config').output.exportEnv;
+
+  try {
+    const target = platform.setOutput(name, v, { ...options, exportEnv });
+    logger.debug(`Set ${platform.name} variable ${name} (${target})`);
+  } catch (err) {
+    logger.warn(`Failed to set ${platform.name} variable ${name}: ${err.message}`);
   }
 }
 
 /**
  * Detect CI platform
+ * @returns {string} Platform id ('github', 'azure', 'gitlab', ...) or 'unknown'
  */
 function detectCIPlatform() {
-  if (process.env.GITHUB_ACTIONS) return 'github';
-  if (process.env.TF_BUILD) return 'azure';
-  if (process.env.CIRCLECI) return 'circleci';
-  if (process.env.GITLAB_CI) return 'gitlab';
-  if (process.env.JENKINS_URL) return 'jenkins';
-  return 'unknown';
+  const platform = getPlatform();
+  return platform ? platform.id : 'unknown';
 }
 
 module.exports = {
@@ -132,4 +129,5 @@ module.exports = {
   getRunnerId,
   setPipelineVar,
   detectCIPlatform,
+  getPlatform,
 };
@@ -8,16 +8,48 @@ const config = require('./config');
 const utils = require('./utils');
 const hostrunner = require('./hostrunner');
 const SetupSSH = require('./setup-ssh');
-const PinggyTunnel = require('./tunnels/pinggy');
-const SshjTunnel = require('./tunnels/sshj');
-const CloudflareTunnel = require('./tunnels/cloudflare');
+const {
+  registry,
+  loadExternalProviders,
+  BaseTunnel,
+  PinggyTunnel,
+  SshjTunnel,
+  CloudflareTunnel,
+  TailscaleTunnel,
+  ReverseSshTunnel,
+} = require('./tunnels');
 const persistence = require('./persistence');
+const state = require('./state');
+const plan = require('./plan');
+const events = require('./events');
+const Session = require('./session');
+const { describeTunnel, buildReport, writeReport } = require('./output');
+const { writeJobSummary } = require('./summary');
+const { getDeadline, remaining, createWarner } = require('./deadline');
+const { teardown } = require('./teardown');
+const { getStatus, printStatus } = require('./status');
+const { supervise } = require('./supervisor');
+const { waitForUser } = require('./wait');
+const { prune } = require('./prune');
+const { SetupSSHError, SSHDError } = require('./errors');
 
 /**
  * Print summary report
  */
 function printSummary(sshResult, tunnelResults) {
-  logger.section('Setup Summary');
+  if (logger.format === 'json') {
+    // Same status and error per tunnel as the result document, failed tunnels resolve with success: false
+    const tunnels = tunnelResults
+      .filter(result => result.status === 'rejected' || result.value)
+      .map(describeTunnel)
+      .map(({ tunnelType, status, endpoint, error }) => ({ tunnelType, status, endpoint: endpoint || null, error }));
+    const { success, mode, port, pid, error } = sshResult;
+    logger.info('Setup summary', { ssh: { success, mode, port, pid, error }, tunnels });
+    return;
+  }
+
+  // Outside any log group so it is what a CI job shows expanded
+  logger.section('Setup Summary', { group: false });
 
   // SSH Server
   console.log('📌 SSH Server:');
@@ -77,21 +109,66 @@ function printSummary(sshResult, tunnelResults) {
 
 /**
  * Main setup function
+ *
+ * Progress is reported through `events` (see lib/events.js). Failures reject
+ * with the errors from lib/errors.js, the process is never exited here.
+ *
+ * @param {Object} options - { sshPort, sshMode, publicKey, wait }
+ * @returns {Promise<Session>} Results with stop(), status() and waitForDisconnect()
  */
 async function run(options = {}) {
   const startTime = Date.now();
+  const foreground = [];
+  const timings = { startedAt: startTime, phases: {} };
+  let phaseStartedAt = startTime;
+
+  const startPhase = phase => {
+    phaseStartedAt = Date.now();
+    events.emit('phase:start', { phase });
+  };
+  const endPhase = phase => {
+    timings.phases[phase] = Date.now() - phaseStartedAt;
+  };
+
+  // Result document for SETUP_SSH_OUTPUT_FILE / --output json (see lib/output.js)
+  const finish = (results, error = null) => {
+    const report = buildReport(results, timings, error);
+    if (config.output.file) {
+      writeReport(config.output.file, report);
+      logger.info(`Result written: ${config.output.file}`);
+    }
+    const summary = writeJobSummary(report);
+    if (summary) {
+      logger.debug(`Job summary written: ${summary}`);
+    }
+    return report;
+  };
 
   try {
-    // Display banner
-    console.log('\n' + '═'.repeat(60));
-    console.log('🔐 SSH Tunnel Setup v2.0');
-    console.log('═'.repeat(60) + '\n');
+    // Log format, log file and secret masking (see lib/logger.js)
+    logger.configure({ format: config.log.format, file: config.log.file });
+    config.registerSecrets();
+
+    // Display banner (JSON log lines stay parseable without it)
+    if (logger.format === 'text') {
+      console.log('\n' + '═'.repeat(60));
+      console.log('🔐 SSH Tunnel Setup v2.0');
+      console.log('═'.repeat(60) + '\n');
+    }
+
+    // Collapsible in CI, like every section after it
+    logger.group('Configuration');
 
     // Merge options with config
     if (options.sshPort) config.ssh.port = options.sshPort;
     if (options.sshMode) config.ssh.mode = options.sshMode;
     if (options.publicKey) config.ssh.publicKey = options.publicKey;
 
+    // Third-party tunnel providers (TUNNEL_PROVIDERS)
+    for (const provider of loadExternalProviders(config)) {
+      logger.info(`Loaded tunnel provider: ${provider.displayName}`);
+    }
+
     // Validate configuration
     logger.info('Validating configuration...');
     config.validate();
@@ -101,6 +178,12 @@ async function run(options = {}) {
       config.printSummary();
     }
 
+    // Dry run: commands, file writes and network calls are recorded instead (see lib/plan.js)
+    if (config.dryRun) {
+      plan.start();
+      logger.warn('Dry run: recording execution plan, nothing on this runner is changed');
+    }
+
     // Initialize results
     const results = {
       ssh: { success: false, error: null },
@@ -108,9 +191,14 @@ async function run(options = {}) {
       persistence: { rtdb: false, ntfy: false },
     };
 
+    const statePath = state.init();
+    logger.debug(`State file: ${statePath}`);
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // 1. Setup SSH Server
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    startPhase('ssh');
+
     try {
       const setupSSH = new SetupSSH();
       const sshResult = await setupSSH.setup();
@@ -121,55 +209,95 @@ async function run(options = {}) {
         port: sshResult.port,
         logPath: sshResult.logPath,
         pid: sshResult.pid,
+        baseDir: sshResult.baseDir,
+        backupPath: sshResult.backupPath,
+        hostKeys: sshResult.hostKeys || null,
+        authorizedKeys: sshResult.authorizedKeys || [],
       };
+      state.update({ phase: 'ssh', ssh: results.ssh });
     } catch (err) {
       logger.error('SSH setup failed:', { error: err.message });
       results.ssh.error = err.message;
-      
+      // Keep the sshd PID or config backup recorded before the failure for `setup-ssh stop`
+      state.update({ phase: 'failed', ssh: { ...(state.get() || {}).ssh, ...results.ssh } });
+
       // Don't continue if SSH setup failed
       printSummary(results.ssh, results.tunnels);
-      process.exit(1);
+      endPhase('ssh');
+
+      const error = err instanceof SetupSSHError ? err : new SSHDError(err.message, { cause: err.message });
+      error.report = finish(results, error);
+      throw error;
     }
 
+    endPhase('ssh');
+    events.emit('ssh:ready', results.ssh);
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // 2. Setup Tunnels (in parallel)
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     logger.section('Starting Tunnels');
+    startPhase('tunnels');
 
     const logDir = results.ssh.logPath 
       ? require('path').dirname(results.ssh.logPath)
       : require('path').join(os.homedir(), '.ssh');
 
-    // Initialize tunnel instances
-    const tunnels = [
-      { instance: new PinggyTunnel(config, utils), type: 'Pinggy' },
-      { instance: new SshjTunnel(config, utils, hostrunner), type: 'SSH-J' },
-      { instance: new CloudflareTunnel(config, utils, hostrunner), type: 'Cloudflare' },
-    ];
+    // Initialize tunnel instances from registered providers
+    const tunnels = registry.list().map(provider => ({
+      instance: new provider.TunnelClass(config, utils, hostrunner),
+      type: provider.displayName,
+      provider: provider.id,
+    }));
 
     // Start tunnels in parallel
-    const tunnelPromises = tunnels.map(async ({ instance, type }) => {
+    const tunnelPromises = tunnels.map(async ({ instance, type, provider }) => {
       try {
         if (await instance.isAvailable()) {
           logger.info(`Starting ${type} tunnel...`);
           const result = await instance.start(results.ssh.port, logDir);
-          
-          return {
+
+          if (result.exited) {
+            foreground.push(result.exited);
+          }
+
+          const record = {
             tunnelType: type,
+            provider,
             success: true,
             endpoint: result.endpoint || null,
             connectCommand: await instance.getConnectCommand(),
             pid: result.pid,
             logFile: result.logFile,
+            pidFile: result.pidFile,
+            tunnelId: result.tunnelId || null,
+            tunnelName: result.tunnelName || null,
+            ephemeral: !!result.ephemeral,
+            routedHostname: result.routedHostname || null,
+            sshServer: result.sshServer || null,
+            identityPath: result.identityPath || null,
+            knownHostsPath: result.knownHostsPath || null,
+            foreground: !!result.foreground,
+            startedAt: new Date().toISOString(),
           };
+
+          if (record.endpoint || record.connectCommand) {
+            const { tunnelType, endpoint, connectCommand } = record;
+            events.emit('tunnel:endpoint', { tunnelType, provider, endpoint, connectCommand });
+          }
+
+          return record;
         } else {
           logger.debug(`${type} tunnel not configured`);
           return null;
         }
       } catch (err) {
         logger.error(`${type} tunnel failed:`, { error: err.message });
+        events.emit('tunnel:error', { tunnelType: type, provider, error: err });
+
         return {
           tunnelType: type,
+          provider,
           success: false,
           error: err.message,
         };
@@ -177,16 +305,40 @@ async function run(options = {}) {
     });
 
     results.tunnels = await Promise.allSettled(tunnelPromises);
+    endPhase('tunnels');
+
+    // Record what was started so `setup-ssh stop` can undo it
+    state.update({
+      phase: 'tunnels',
+      tunnels: results.tunnels.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value),
+    });
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // 3. Persist & Notify
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    startPhase('persist');
+
+    // The platform kills the job at its deadline, whatever the SSH session is doing
+    const deadline = getDeadline();
+    results.sessionEndsAt = deadline ? deadline.endsAt.toISOString() : null;
+    if (deadline) {
+      const left = utils.formatDuration(remaining(deadline));
+      logger.info(`Session ends with the CI job at ${results.sessionEndsAt} (in ${left}, from ${deadline.source})`);
+      createWarner(deadline)();
+      state.update({ sessionEndsAt: results.sessionEndsAt });
+    }
+
     try {
-      results.persistence = await persistence.persist(results.tunnels);
+      results.persistence = await persistence.persist(results.tunnels, { sessionEndsAt: results.sessionEndsAt });
     } catch (err) {
       logger.error('Persistence failed:', { error: err.message });
     }
 
+    endPhase('persist');
+    events.emit('persist:done', results.persistence);
+
+    state.update({ phase: 'complete', persistence: results.persistence });
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // 4. Print Summary
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -195,21 +347,62 @@ async function run(options = {}) {
     const duration = Date.now() - startTime;
     logger.success(`Setup completed in ${duration}ms`);
 
-    return results;
-  } catch (err) {
-    logger.error('Fatal error:', { error: err.message, stack: err.stack });
-    process.exit(1);
+    results.report = finish(results);
+
+    if (plan.isActive()) {
+      results.plan = plan.stop();
+      plan.print(results.plan);
+
+      if (config.planFile) {
+        plan.writeJson(config.planFile, results.plan);
+        logger.info(`Plan written: ${config.planFile}`);
+      }
+
+      return new Session(results, foreground);
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // 5. Wait for user (optional)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    const session = new Session(results, foreground);
+
+    if (options.wait || config.wait.enabled) {
+      events.emit('phase:start', { phase: 'wait' });
+      await session.waitForDisconnect();
+    }
+
+    return session;
+  } finally {
+    // A failed dry run must not leave later calls recording
+    if (plan.isActive()) {
+      plan.stop();
+    }
+
+    logger.endGroup();
   }
 }
 
 module.exports = {
   run,
+  events,
+  Session,
+  teardown,
+  status: getStatus,
+  printStatus,
+  supervise,
+  waitForUser,
+  prune,
   config,
   utils,
   logger,
   hostrunner,
+  buildReport,
   SetupSSH,
+  registry,
+  BaseTunnel,
   PinggyTunnel,
   SshjTunnel,
   CloudflareTunnel,
+  TailscaleTunnel,
+  ReverseSshTunnel,
 };
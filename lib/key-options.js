@@ -0,0 +1,236 @@
+/**
+ * key-options.js - Per-key authorized_keys restrictions
+ *
+ * Options come from the key line itself, PIPELINE_SSH_KEY_OPTIONS (every key),
+ * PIPELINE_SSH_KEY_TTL (expiry-time of every key) and PIPELINE_SSH_KEY_RESTRICTIONS,
+ * one rule per line matching a key source or fingerprint:
+ *
+ *   github.com:contractor  from="10.0.0.0/8",no-pty,command="tail -F /tmp/app.log",ttl=2h
+ *   github.com:*           no-agent-forwarding
+ *   SHA256:uNiV...         permitopen="localhost:5432"
+ */
+
+const { ConfigError } = require('./errors');
+
+// Options sshd understands in authorized_keys (sshd(8) AUTHORIZED_KEYS FILE FORMAT)
+const KNOWN_OPTIONS = new Set([
+  'agent-forwarding',
+  'cert-authority',
+  'command',
+  'environment',
+  'expiry-time',
+  'from',
+  'no-agent-forwarding',
+  'no-port-forwarding',
+  'no-pty',
+  'no-touch-required',
+  'no-user-rc',
+  'no-x11-forwarding',
+  'permitlisten',
+  'permitopen',
+  'port-forwarding',
+  'principals',
+  'pty',
+  'restrict',
+  'tunnel',
+  'user-rc',
+  'verify-required',
+  'x11-forwarding',
+]);
+
+// Options that may appear more than once; all others are replaced by later sources
+const REPEATABLE_OPTIONS = new Set(['environment', 'permitlisten', 'permitopen']);
+
+// Restrictions of the key line itself; configured values of these would widen them, so they are ignored
+const KEY_LINE_RESTRICTIONS = new Set(['command', 'from', 'permitlisten', 'permitopen']);
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse an option list, e.g. 'no-pty,command="echo a,b"'
+ * @returns {Array[]} [[name, value|null]] with unquoted values
+ * @throws {ConfigError} Unterminated quote or unknown option (ttl= is accepted too)
+ */
+function parseOptions(text) {
+  const options = [];
+  let current = '';
+  let quoted = false;
+
+  const push = () => {
+    const part = current.trim();
+    current = '';
+    if (!part) return;
+
+    const eq = part.indexOf('=');
+    const name = (eq === -1 ? part : part.slice(0, eq)).toLowerCase();
+    let value = eq === -1 ? null : part.slice(eq + 1);
+    if (value !== null && value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+      // sshd only unescapes \" inside quotes, other backslashes are part of the value
+      value = value.slice(1, -1).replace(/\\"/g, '"');
+    }
+
+    if (!KNOWN_OPTIONS.has(name) && name !== 'ttl') {
+      throw new ConfigError(`unknown authorized_keys option '${name}'`);
+    }
+    options.push([name, value]);
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && quoted && text[i + 1] === '"') {
+      current += char + text[++i];
+    } else if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (char === ',' && !quoted) {
+      push();
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) throw new ConfigError(`unterminated quote in '${text}'`);
+  push();
+  return options;
+}
+
+/**
+ * Render options for an authorized_keys line
+ */
+function formatOptions(options) {
+  return options.map(([name, value]) => (value === null ? name : `${name}="${value.replace(/"/g, '\\"')}"`)).join(',');
+}
+
+/**
+ * Parse a duration like '90m', '2h' or '1d' (bare numbers are milliseconds)
+ * @returns {number} Milliseconds
+ * @throws {ConfigError} Invalid duration
+ */
+function parseDuration(text) {
+  const match = String(text).match(/^(\d+)([smhd]?)$/);
+  if (!match) throw new ConfigError(`invalid duration '${text}' (expected e.g. 90m, 2h, 1d)`);
+  return parseInt(match[1], 10) * (match[2] ? DURATION_UNITS[match[2]] : 1);
+}
+
+/**
+ * expiry-time value; sshd reads it in the system time zone
+ * @returns {string} YYYYMMDDHHMMSS
+ */
+function formatExpiry(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+/**
+ * Parse PIPELINE_SSH_KEY_RESTRICTIONS
+ * @param {string} text - One '<source|fingerprint> <options>' rule per line, # comments
+ * @returns {Object[]} [{ match, options }]
+ * @throws {ConfigError} Naming the line of the first invalid rule
+ */
+function parseRestrictions(text) {
+  const rules = [];
+
+  String(text || '')
+    .split('\n')
+    .forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const [match, ...rest] = line.split(/\s+/);
+      if (rest.length === 0) {
+        throw new ConfigError(`PIPELINE_SSH_KEY_RESTRICTIONS line ${index + 1}: missing options after '${match}'`);
+      }
+
+      try {
+        const options = parseOptions(rest.join(' '));
+        for (const [name, value] of options) {
+          if (name === 'ttl') parseDuration(value);
+        }
+        rules.push({ match, options });
+      } catch (err) {
+        throw new ConfigError(`PIPELINE_SSH_KEY_RESTRICTIONS line ${index + 1}: ${err.message}`);
+      }
+    });
+
+  return rules;
+}
+
+/**
+ * Whether a rule applies to a key: exact source, source glob (github.com:*) or fingerprint
+ */
+function matches(rule, key) {
+  if (rule.match === key.fingerprint) return true;
+
+  const pattern = rule.match.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${pattern}$`).test(key.source);
+}
+
+/**
+ * Merge the options of a key with configured restrictions and rebuild its line
+ *
+ * Later sources replace earlier values of the same option (repeatable options
+ * add up); of several expiry times the earliest wins. `command`, `from`,
+ * `permitopen` and `permitlisten` of the key line are kept as they are:
+ * configured values could only widen them.
+ *
+ * @param {Object} key - Key from authorized-keys.parseKeys()
+ * @param {Object} restrictions - { options: string, ttl: ms, rules: from parseRestrictions(), now: ms }
+ * @returns {Object} Key with merged options (string|null) and line
+ */
+function applyRestrictions(key, restrictions = {}) {
+  const { options = null, ttl = null, rules = [], now = Date.now() } = restrictions;
+  const own = key.options ? parseOptions(key.options) : [];
+  const configured = [options ? parseOptions(options) : []];
+  configured.push(...rules.filter(rule => matches(rule, key)).map(rule => rule.options));
+
+  const kept = new Set(own.map(([name]) => name).filter(name => KEY_LINE_RESTRICTIONS.has(name)));
+  const merged = [];
+  const expiries = [];
+  if (ttl) expiries.push(new Date(now + ttl));
+
+  for (const [name, value] of [...own, ...configured.flat().filter(([option]) => !kept.has(option))]) {
+    if (name === 'ttl') {
+      expiries.push(new Date(now + parseDuration(value)));
+      continue;
+    }
+    if (name === 'expiry-time') {
+      expiries.push(value);
+      continue;
+    }
+
+    const index = merged.findIndex(([existing]) => existing === name);
+    if (index !== -1 && !REPEATABLE_OPTIONS.has(name)) merged.splice(index, 1);
+    merged.push([name, value]);
+  }
+
+  if (expiries.length > 0) {
+    // YYYYMMDD[HHMM[SS]] compares as a number once padded to full length
+    const times = expiries.map(time => (time instanceof Date ? formatExpiry(time) : time.padEnd(14, '0')));
+    merged.push(['expiry-time', times.sort()[0]]);
+  }
+
+  const formatted = merged.length > 0 ? formatOptions(merged) : null;
+  const keyPart = [key.type, key.data, key.comment].filter(Boolean).join(' ');
+
+  return { ...key, options: formatted, line: formatted ? `${formatted} ${keyPart}` : keyPart };
+}
+
+/**
+ * Whether sshd runs a forced command for the key instead of the requested one
+ */
+function hasForcedCommand(key) {
+  return !!key.options && parseOptions(key.options).some(([name]) => name === 'command');
+}
+
+module.exports = {
+  KNOWN_OPTIONS,
+  parseOptions,
+  formatOptions,
+  parseDuration,
+  parseRestrictions,
+  applyRestrictions,
+  hasForcedCommand,
+};
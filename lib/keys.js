@@ -0,0 +1,220 @@
+/**
+ * keys.js - SSH public key parsing, validation and fingerprints
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Key types sshd accepts in authorized_keys, with the curve of ECDSA types
+const KEY_TYPES = {
+  'ssh-rsa': {},
+  'ssh-dss': {},
+  'ssh-ed25519': {},
+  'ecdsa-sha2-nistp256': { curve: 'nistp256' },
+  'ecdsa-sha2-nistp384': { curve: 'nistp384' },
+  'ecdsa-sha2-nistp521': { curve: 'nistp521' },
+  'sk-ssh-ed25519@openssh.com': {},
+  'sk-ecdsa-sha2-nistp256@openssh.com': { curve: 'nistp256' },
+};
+
+// Smallest RSA modulus accepted for login
+const MIN_RSA_BITS = 2048;
+
+/**
+ * Split an OpenSSH public key line into type, base64 key data and comment
+ * @param {string} line - e.g. 'ssh-ed25519 AAAA... user@host'
+ * @returns {Object|null} { type, data, comment }
+ */
+function parsePublicKey(line) {
+  const [type, data, ...comment] = String(line || '')
+    .trim()
+    .split(/\s+/);
+
+  if (!type || !data || !/^[A-Za-z0-9+/]+=*$/.test(data)) {
+    return null;
+  }
+
+  return { type, data, comment: comment.join(' ') };
+}
+
+/**
+ * SHA256 fingerprint as printed by `ssh-keygen -l`
+ * @param {string} line - OpenSSH public key line
+ * @returns {string|null} e.g. 'SHA256:uNiVztksCsDhcc0u9e8BujQXVUpKZIDTMczCvj3tD2s'
+ */
+function fingerprint(line) {
+  const key = parsePublicKey(line);
+  return key ? fingerprintBlob(key.data) : null;
+}
+
+/**
+ * SHA256 fingerprint of base64 key data
+ */
+function fingerprintBlob(data) {
+  const digest = crypto.createHash('sha256').update(Buffer.from(data, 'base64')).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Split an authorized_keys line into options and the key part
+ *
+ * Options come first when the line does not start with a key type; they end
+ * at the first whitespace outside double quotes (command="echo a b",no-pty).
+ *
+ * @returns {Object} { options: string|null, rest }
+ */
+function splitOptions(line) {
+  const firstWord = line.split(/\s/, 1)[0];
+  if (KEY_TYPES[firstWord]) return { options: null, rest: line };
+
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && quoted) i++;
+    else if (char === '"') quoted = !quoted;
+    else if (/\s/.test(char) && !quoted) return { options: line.slice(0, i), rest: line.slice(i).trim() };
+  }
+  return { options: line, rest: '' };
+}
+
+/**
+ * Read the length-prefixed fields of an SSH wire format key blob
+ * @returns {Buffer[]} Fields
+ * @throws {Error} Truncated blob
+ */
+function readBlobFields(blob) {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < blob.length) {
+    if (offset + 4 > blob.length) throw new Error('truncated key data');
+    const length = blob.readUInt32BE(offset);
+    offset += 4;
+    if (offset + length > blob.length) throw new Error('truncated key data');
+    fields.push(blob.subarray(offset, offset + length));
+    offset += length;
+  }
+
+  return fields;
+}
+
+/**
+ * Check the key blob against its declared type
+ * @returns {number|null} Key size in bits (RSA, DSA), null for fixed-size types
+ * @throws {Error} Blob does not decode to the declared type
+ */
+function inspectBlob(type, data) {
+  const fields = readBlobFields(Buffer.from(data, 'base64'));
+  const blobType = fields.length > 0 ? fields[0].toString('latin1') : '';
+  if (blobType !== type) {
+    throw new Error(`key data is ${blobType ? `a ${blobType} key` : 'not a key'}, not ${type}`);
+  }
+
+  const { curve } = KEY_TYPES[type];
+  if (curve && (!fields[1] || fields[1].toString('latin1') !== curve)) {
+    throw new Error(`key data is not on curve ${curve}`);
+  }
+
+  if (type === 'ssh-rsa' || type === 'ssh-dss') {
+    // ssh-rsa: e, n; ssh-dss: p, q, g, y - bit length of n / p without sign byte
+    const modulus = type === 'ssh-rsa' ? fields[2] : fields[1];
+    if (!modulus) throw new Error('truncated key data');
+    const start = modulus.findIndex(byte => byte !== 0);
+    if (start === -1) return 0;
+    return (modulus.length - start - 1) * 8 + modulus[start].toString(2).length;
+  }
+
+  if (type.includes('ed25519') && (!fields[1] || fields[1].length !== 32)) {
+    throw new Error('Ed25519 key must be 32 bytes');
+  }
+  return null;
+}
+
+/**
+ * Parse and validate an authorized_keys line
+ *
+ * Understands leading options, all key types OpenSSH accepts (including FIDO
+ * security keys), checks that the base64 data decodes to the declared type and
+ * rejects weak keys (DSA, RSA below MIN_RSA_BITS).
+ *
+ * @param {string} line - e.g. 'no-pty ssh-ed25519 AAAA... user@host'
+ * @returns {Object|null} { line, options, type, data, comment, bits, fingerprint, error },
+ *   error is the rejection reason (null for usable keys); null for blank lines and comments
+ */
+function parseAuthorizedKey(line) {
+  const text = String(line || '').trim();
+  if (!text || text.startsWith('#')) return null;
+
+  const { options, rest } = splitOptions(text);
+  const [type = '', data = '', ...comment] = rest.split(/\s+/);
+  const key = {
+    line: text,
+    options,
+    type,
+    data,
+    comment: comment.join(' '),
+    bits: null,
+    fingerprint: null,
+    error: null,
+  };
+
+  // Like sshd, a line not starting with a key type starts with options
+  if (!KEY_TYPES[type]) {
+    key.error = `no supported key type (${Object.keys(KEY_TYPES).join(', ')})`;
+    return key;
+  }
+  if (!/^[A-Za-z0-9+/]+=*$/.test(data)) {
+    key.error = 'key data is not base64';
+    return key;
+  }
+
+  key.fingerprint = fingerprintBlob(data);
+
+  try {
+    key.bits = inspectBlob(type, data);
+  } catch (err) {
+    key.error = err.message;
+    return key;
+  }
+
+  if (type === 'ssh-dss') {
+    key.error = 'DSA keys are insecure and disabled in OpenSSH';
+  } else if (type === 'ssh-rsa' && key.bits < MIN_RSA_BITS) {
+    key.error = `RSA key has ${key.bits} bits, at least ${MIN_RSA_BITS} are required`;
+  }
+
+  return key;
+}
+
+/**
+ * Read a public key file (e.g. a host key) with its fingerprint
+ * @returns {Object|null} { file, type, fingerprint, publicKey }, null if missing or unreadable
+ */
+function readPublicKeyFile(file) {
+  let line;
+
+  try {
+    line = fs.readFileSync(file, 'utf8').trim();
+  } catch (_err) {
+    return null;
+  }
+
+  const key = parsePublicKey(line);
+  if (!key) return null;
+
+  return {
+    file,
+    type: key.type,
+    fingerprint: fingerprint(line),
+    publicKey: `${key.type} ${key.data}`,
+  };
+}
+
+module.exports = {
+  KEY_TYPES,
+  MIN_RSA_BITS,
+  parsePublicKey,
+  parseAuthorizedKey,
+  fingerprint,
+  readPublicKeyFile,
+};
@@ -1,7 +1,14 @@
 /**
  * logger.js - Structured logging with color support
+ *
+ * Console output is colored text or JSON lines (LOG_FORMAT=json). A log file
+ * (LOG_FILE) always receives JSON lines at debug level, whatever the console level.
+ * On GitHub Actions and Azure Pipelines sections become collapsible log groups
+ * and warnings/errors become annotations.
  */
 
+const fs = require('fs');
+const path = require('path');
 const util = require('util');
 
 const colors = {
@@ -24,11 +31,76 @@ const logLevels = {
   silent: 4,
 };
 
+const logFormats = ['text', 'json'];
+
+// Shorter values would mask ordinary words and numbers
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Split '[Pinggy] Tunnel started' into component and message
+ * @returns {Object} { component, message }
+ */
+function splitComponent(message) {
+  const text = typeof message === 'string' ? message : String(message);
+  const match = text.match(/^\[([^\]]+)\] (.*)$/s);
+  return match ? { component: match[1], message: match[2] } : { component: null, message: text };
+}
+
 class Logger {
   constructor(level = 'info', enableColors = true) {
-    this.level = level;
     this.enableColors = enableColors && process.stdout.isTTY;
-    this.levelValue = logLevels[level] || logLevels.info;
+    this.stream = process.stdout;
+    this.format = 'text';
+    this.file = null;
+    this.fileFd = null;
+    this.secrets = new Set();
+    this.matcher = null;
+    this.envScanned = false;
+    this.openGroup = null;
+    this.setLevel(level);
+  }
+
+  /**
+   * Apply log settings from config
+   * @param {Object} options - { format: 'text' | 'json', file: JSON-lines log file }
+   */
+  configure(options = {}) {
+    if (options.format) this.setFormat(options.format);
+    if (options.file !== undefined) this.setFile(options.file);
+  }
+
+  setFormat(format) {
+    this.format = logFormats.includes(format) ? format : 'text';
+  }
+
+  /**
+   * Stream for progress output (console methods are used for everything else)
+   */
+  setStream(stream) {
+    this.stream = stream;
+  }
+
+  /**
+   * Append every entry (including debug) as JSON line to a file, null to stop
+   */
+  setFile(file) {
+    if (file === this.file) return;
+
+    if (this.fileFd !== null) {
+      fs.closeSync(this.fileFd);
+      this.fileFd = null;
+    }
+
+    this.file = file || null;
+    if (!this.file) return;
+
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    this.fileFd = fs.openSync(this.file, 'a', 0o600);
+  }
+
+  setLevel(level) {
+    this.level = level in logLevels ? level : 'info';
+    this.levelValue = logLevels[this.level];
   }
 
   colorize(text, color) {
@@ -36,9 +108,52 @@ class Logger {
     return `${colors[color]}${text}${colors.reset}`;
   }
 
-  maskMessage(msg) {
-    // Chuyển sang string nếu không phải string
-    let maskedMsg = typeof msg === 'string' ? msg : String(msg);
+  /**
+   * Mask a value in all further output and on the CI runner
+   *
+   * The CI platform gets its mask command (GitHub `::add-mask::`, Azure `##vso[task.setsecret]`).
+   * Runners read commands from stderr too, stdout stays free for `--output json`.
+   * Multi-line values (private keys) are registered line by line.
+   * @param {string} value - Secret value, shorter than MIN_SECRET_LENGTH is ignored
+   * @param {Object} options - { announce: false to skip the CI command }
+   */
+  registerSecret(value, options = {}) {
+    const parts = String(value ?? '')
+      .split(/\r?\n/)
+      .map(part => part.trim())
+      .filter(part => part.length >= MIN_SECRET_LENGTH && !this.secrets.has(part));
+
+    for (const part of parts) {
+      this.secrets.add(part);
+
+      const platform = options.announce === false ? null : this.platform();
+      const command = platform && platform.formatMaskSecret(part);
+      if (command) {
+        process.stderr.write(`${command}\n`);
+      }
+    }
+
+    if (parts.length > 0) {
+      this.matcher = this.compileMatcher();
+    }
+  }
+
+  /**
+   * One regex for all secrets, longest first so overlapping values are fully masked
+   */
+  compileMatcher() {
+    const escaped = [...this.secrets]
+      .sort((a, b) => b.length - a.length)
+      .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(escaped.join('|'), 'g');
+  }
+
+  /**
+   * Register values of env vars whose name looks sensitive (…KEY, …TOKEN, …)
+   * for the secrets not declared in the settings schema. Runs once.
+   */
+  registerEnvSecrets() {
+    this.envScanned = true;
 
     // Danh sách giá trị phổ biến KHÔNG mask
     const skipValues = new Set([
@@ -72,42 +187,29 @@ class Logger {
       'PASSPHRASE',
     ];
 
-    const envValues = Object.entries(process.env)
-      .filter(([key, value]) => {
-        if (!value || typeof value !== 'string') return false;
-        const trimmed = value.trim();
-
-        // Bỏ qua giá trị quá ngắn (thống nhất với comment)
-        if (trimmed.length < 10) return false;
-
-        // Bỏ qua giá trị phổ biến
-        if (skipValues.has(trimmed)) return false;
-
-        // Bỏ qua số thuần túy
-        if (/^\d+$/.test(trimmed)) return false;
-
-        // Chỉ mask nếu key chứa pattern nhạy cảm
-        const upperKey = key.toUpperCase();
-        return sensitivePatterns.some(pattern => upperKey.includes(pattern));
-      })
-      .map(([key, value]) => value.trim())
-      .sort((a, b) => b.length - a.length); // Đúng: mask value dài trước
+    for (const [key, value] of Object.entries(process.env)) {
+      if (!value || typeof value !== 'string') continue;
+      const trimmed = value.trim();
 
-    const uniqueValues = [...new Set(envValues)];
+      // Bỏ qua giá trị quá ngắn, giá trị phổ biến và số thuần túy
+      if (trimmed.length < 10 || skipValues.has(trimmed) || /^\d+$/.test(trimmed)) continue;
 
-    for (const value of uniqueValues) {
-      if (maskedMsg.includes(value)) {
-        const masked = '*'.repeat(Math.min(value.length, 20)); // Giới hạn số *
-
-        // Escape ký tự đặc biệt trong regex
-        const escapedValue = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-        // Dùng regex để replace all occurrences
-        maskedMsg = maskedMsg.replace(new RegExp(escapedValue, 'g'), masked);
+      // Chỉ mask nếu key chứa pattern nhạy cảm
+      const upperKey = key.toUpperCase();
+      if (sensitivePatterns.some(pattern => upperKey.includes(pattern))) {
+        this.registerSecret(trimmed, { announce: false });
       }
     }
+  }
 
-    return maskedMsg;
+  maskMessage(msg) {
+    // Chuyển sang string nếu không phải string
+    const text = typeof msg === 'string' ? msg : String(msg);
+
+    if (!this.envScanned) this.registerEnvSecrets();
+    if (!this.matcher) return text;
+
+    return text.replace(this.matcher, '********');
   }
 
   formatMessage(level, emoji, message, meta = {}) {
@@ -123,53 +225,155 @@ class Logger {
     return this.maskMessage(msg);
   }
 
+  /**
+   * JSON line of an entry; a leading '[Pinggy]' in the message becomes the component
+   */
+  formatJson(level, message, meta = {}) {
+    const entry = { level, timestamp: new Date().toISOString(), ...splitComponent(message) };
+
+    if (meta && Object.keys(meta).length > 0) {
+      entry.meta = meta;
+    }
+
+    const json = JSON.stringify(entry, (key, value) =>
+      value instanceof Error ? { name: value.name, message: value.message } : value
+    );
+    return this.maskMessage(json);
+  }
+
   shouldLog(level) {
     return logLevels[level] >= this.levelValue;
   }
 
+  /**
+   * Adapter of the CI platform (see lib/platforms/), null outside CI
+   */
+  platform() {
+    // Required here, hostrunner requires the logger
+    return require('./hostrunner').getPlatform();
+  }
+
+  /**
+   * Platform for groups and annotations, null for JSON logs whose lines must stay parseable
+   */
+  ciPlatform() {
+    return this.format === 'text' ? this.platform() : null;
+  }
+
+  /**
+   * Open a collapsible log group where the CI platform supports them, closing the open one
+   * @returns {boolean} Whether a group was opened
+   */
+  group(title) {
+    const platform = this.ciPlatform();
+    const command = platform && this.shouldLog('info') && platform.formatGroup(this.maskMessage(title));
+    if (!command) return false;
+
+    this.endGroup();
+    console.log(command);
+    this.openGroup = platform;
+    return true;
+  }
+
+  endGroup() {
+    if (!this.openGroup) return;
+
+    const command = this.openGroup.formatEndGroup();
+    if (command) console.log(command);
+    this.openGroup = null;
+  }
+
+  /**
+   * Print a warning or error as CI annotation, titled with the component (e.g. 'Pinggy')
+   * @param {string} type - 'warning' | 'error'
+   * @returns {boolean} Whether an annotation was printed instead of the text line
+   */
+  annotate(type, message, meta = {}, print = console.log) {
+    const platform = this.ciPlatform();
+    if (!platform) return false;
+
+    const { component, message: text } = splitComponent(message);
+    let body = text;
+    if (meta && Object.keys(meta).length > 0) {
+      body += '\n' + util.inspect(meta, { depth: 3 });
+    }
+
+    const command = platform.formatAnnotation(type, this.maskMessage(body), component);
+    if (!command) return false;
+
+    print(command);
+    return true;
+  }
+
+  /**
+   * Write an entry to the log file
+   * @returns {boolean} Whether the console shows the entry as text (false in JSON format)
+   */
+  write(level, message, meta, print = console.log) {
+    if (this.fileFd !== null) {
+      fs.writeSync(this.fileFd, this.formatJson(level, message, meta) + '\n');
+    }
+
+    if (!this.shouldLog(level)) return false;
+    if (this.format !== 'json') return true;
+
+    print(this.formatJson(level, message, meta));
+    return false;
+  }
+
   debug(message, meta) {
-    if (!this.shouldLog('debug')) return;
+    if (!this.write('debug', message, meta)) return;
     const msg = this.formatMessage('debug', '🔍', message, meta);
     console.log(this.colorize(msg, 'dim'));
   }
 
   info(message, meta) {
-    if (!this.shouldLog('info')) return;
+    if (!this.write('info', message, meta)) return;
     const msg = this.formatMessage('info', 'ℹ️ ', message, meta);
     console.log(this.colorize(msg, 'blue'));
   }
 
   success(message, meta) {
-    if (!this.shouldLog('info')) return;
+    if (!this.write('info', message, meta)) return;
     const msg = this.formatMessage('success', '✅', message, meta);
     console.log(this.colorize(msg, 'green'));
   }
 
   warn(message, meta) {
-    if (!this.shouldLog('warn')) return;
+    if (!this.write('warn', message, meta, console.warn)) return;
+    if (this.annotate('warning', message, meta, console.warn)) return;
     const msg = this.formatMessage('warn', '⚠️ ', message, meta);
     console.warn(this.colorize(msg, 'yellow'));
   }
 
   error(message, meta) {
-    if (!this.shouldLog('error')) return;
+    if (!this.write('error', message, meta, console.error)) return;
+    if (this.annotate('error', message, meta, console.error)) return;
     const msg = this.formatMessage('error', '❌', message, meta);
     console.error(this.colorize(msg, 'red'));
   }
 
   // Special formatters
   progress(message) {
-    if (!this.shouldLog('info')) return;
-    process.stdout.write(this.colorize(`🔄 ${message}`, 'cyan'));
+    if (!this.write('info', message)) return;
+    this.stream.write(this.colorize(`🔄 ${message}`, 'cyan'));
   }
 
   progressDone(message = 'Done') {
-    if (!this.shouldLog('info')) return;
+    if (!this.write('info', message)) return;
     console.log(this.colorize(` ${message}`, 'green'));
   }
 
-  section(title) {
-    if (!this.shouldLog('info')) return;
+  /**
+   * Section banner, a collapsible group in CI
+   * @param {Object} options - { group: false to close the open group and print a plain banner (summary) }
+   */
+  section(title, options = {}) {
+    if (!this.write('info', title)) return;
+
+    if (options.group === false) this.endGroup();
+    else if (this.group(`📌 ${title}`)) return;
+
     const separator = '━'.repeat(60);
     console.log('\n' + this.colorize(separator, 'bright'));
     console.log(this.colorize(`📌 ${title}`, 'bright'));
@@ -194,7 +398,7 @@ class Logger {
 
   // Table formatting
   table(data) {
-    if (!this.shouldLog('info')) return;
+    if (!this.write('info', 'Table', { rows: data })) return;
     console.table(data);
   }
 }
@@ -205,3 +409,4 @@ const logger = new Logger(process.env.LOG_LEVEL || 'info', process.env.NO_COLOR
 module.exports = logger;
 module.exports.Logger = Logger;
 module.exports.logLevels = logLevels;
+module.exports.logFormats = logFormats;
@@ -0,0 +1,123 @@
+/**
+ * output.js - Machine-readable result document of a setup run
+ *
+ * Written to SETUP_SSH_OUTPUT_FILE and printed by `setup-ssh run --output json`.
+ * Fields are only added within a version; renames or removals bump OUTPUT_VERSION.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const { readPublicKeyFile } = require('./keys');
+
+const OUTPUT_VERSION = 1;
+
+/**
+ * Host keys of sshd with fingerprints
+ * @param {Object} hostKeys - { ed25519: path, rsa: path } of public key files
+ */
+function describeHostKeys(hostKeys) {
+  return Object.values(hostKeys || {})
+    .map(file => readPublicKeyFile(file))
+    .filter(Boolean);
+}
+
+/**
+ * Tunnel entry from a settled tunnel result of run()
+ */
+function describeTunnel(settled) {
+  if (settled.status === 'rejected') {
+    const reason = settled.reason || {};
+    return { tunnelType: reason.tunnelType || null, status: 'failed', error: reason.message || String(reason) };
+  }
+
+  const data = settled.value;
+  let status = 'running';
+  if (!data.success) status = 'failed';
+  else if (config.dryRun) status = 'planned';
+  else if (data.foreground) status = 'foreground';
+
+  return {
+    tunnelType: data.tunnelType,
+    provider: data.provider,
+    status,
+    endpoint: data.endpoint || null,
+    connectCommand: data.connectCommand || null,
+    pid: data.pid || null,
+    logFile: data.logFile || null,
+    tunnelId: data.tunnelId || null,
+    error: data.error || null,
+  };
+}
+
+/**
+ * Build the result document
+ * @param {Object} results - { ssh, tunnels, persistence, sessionEndsAt } collected by run()
+ * @param {Object} timings - { startedAt: ms, phases: { ssh: ms, tunnels: ms, persist: ms } }
+ * @param {Error} error - Error that ended the run early
+ * @returns {Object} Result document
+ */
+function buildReport(results, timings = {}, error = null) {
+  const finishedAt = Date.now();
+  const startedAt = timings.startedAt || finishedAt;
+  const ssh = results.ssh || {};
+  const tunnels = (results.tunnels || []).filter(r => r.status === 'rejected' || r.value).map(describeTunnel);
+  const ciPlatform = hostrunner.getPlatform();
+
+  return {
+    version: OUTPUT_VERSION,
+    success: !error && !!ssh.success,
+    dryRun: !!config.dryRun,
+    error: error ? { name: error.name, message: error.message } : null,
+    timing: {
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startedAt,
+      phases: timings.phases || {},
+    },
+    platform: {
+      os: os.platform(),
+      arch: os.arch(),
+      node: process.version,
+      hostname: os.hostname(),
+      user: os.userInfo().username,
+      ci: hostrunner.isLikelyCI() ? hostrunner.detectCIPlatform() : null,
+      runUrl: (ciPlatform && ciPlatform.runUrl()) || null,
+      actor: (ciPlatform && ciPlatform.actor()) || null,
+    },
+    sessionEndsAt: results.sessionEndsAt || null,
+    ssh: {
+      success: !!ssh.success,
+      mode: ssh.mode || null,
+      port: ssh.port || config.ssh.port,
+      listenAddress: config.ssh.listenAddress,
+      user: os.userInfo().username,
+      pid: ssh.pid || null,
+      logPath: ssh.logPath || null,
+      hostKeys: describeHostKeys(ssh.hostKeys),
+      authorizedKeys: ssh.authorizedKeys || [],
+      error: ssh.error || null,
+    },
+    tunnels,
+    persistence: results.persistence || null,
+  };
+}
+
+/**
+ * Write the result document as JSON
+ * @returns {string} Path written
+ */
+function writeReport(filePath, report) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  return filePath;
+}
+
+module.exports = {
+  OUTPUT_VERSION,
+  describeTunnel,
+  buildReport,
+  writeReport,
+};
@@ -5,6 +5,8 @@
 const logger = require('./logger');
 const utils = require('./utils');
 const config = require('./config');
+const plan = require('./plan');
+const hostrunner = require('./hostrunner');
 
 /**
  * Build Firebase RTDB URL with ID path
@@ -26,10 +28,23 @@ function buildRtdbUrl(base, id) {
   return `${b}/${i}.json`;
 }
 
+/**
+ * When the session ends and where the run is, for people joining later
+ * @param {Object} context - { sessionEndsAt }
+ */
+function describeSession(context = {}) {
+  const platform = hostrunner.getPlatform();
+  return {
+    sessionEndsAt: context.sessionEndsAt || null,
+    runUrl: (platform && platform.runUrl()) || null,
+  };
+}
+
 /**
  * Save tunnel URLs to Firebase RTDB
+ * @param {Object} context - { sessionEndsAt }
  */
-async function saveToRTDB(tunnelResults) {
+async function saveToRTDB(tunnelResults, context = {}) {
   if (!config.persistence.rtdb.enabled) {
     logger.debug('RTDB persistence disabled');
     return false;
@@ -66,12 +81,25 @@ async function saveToRTDB(tunnelResults) {
     return false;
   }
 
+  for (const [key, value] of Object.entries(describeSession(context))) {
+    if (value) payload[key] = value;
+  }
+
   const rtdbUrl = buildRtdbUrl(url, id);
   if (!rtdbUrl) {
     logger.error('Failed to build RTDB URL');
     return false;
   }
 
+  if (plan.isActive()) {
+    plan.record('network', {
+      method: 'PATCH',
+      url: utils.maskAuthInUrl(rtdbUrl),
+      body: JSON.stringify(payload, null, 2),
+    });
+    return false;
+  }
+
   try {
     if (typeof fetch !== 'function') {
       logger.error('fetch() not available (need Node 18+)');
@@ -117,8 +145,9 @@ async function saveToRTDB(tunnelResults) {
 
 /**
  * Send notification via ntfy.sh
+ * @param {Object} context - { sessionEndsAt }
  */
-async function notifyViaLntfy(tunnelResults) {
+async function notifyViaLntfy(tunnelResults, context = {}) {
   if (!config.persistence.ntfy.enabled) {
     logger.debug('ntfy notifications disabled');
     return false;
@@ -151,8 +180,19 @@ async function notifyViaLntfy(tunnelResults) {
     return false;
   }
 
+  const { sessionEndsAt, runUrl } = describeSession(context);
+  const footer = [sessionEndsAt && `Session ends: ${sessionEndsAt}`, runUrl && `Run: ${runUrl}`].filter(Boolean);
+  if (footer.length > 0) {
+    lines.push('', ...footer);
+  }
+
   const message = lines.join('\n');
 
+  if (plan.isActive()) {
+    plan.record('network', { method: 'POST', url: `${url}/${encodeURIComponent(topic)}`, body: message });
+    return false;
+  }
+
   // Send via curl (most reliable cross-platform)
   if (!utils.commandExists('curl')) {
     logger.warn('curl not found, skipping ntfy notification');
@@ -202,8 +242,9 @@ async function notifyViaLntfy(tunnelResults) {
 
 /**
  * Main persistence function
+ * @param {Object} context - { sessionEndsAt: ISO time the CI job ends }
  */
-async function persist(tunnelResults) {
+async function persist(tunnelResults, context = {}) {
   logger.section('Persisting Results');
 
   const results = {
@@ -213,14 +254,14 @@ async function persist(tunnelResults) {
 
   // Save to RTDB
   try {
-    results.rtdb = await saveToRTDB(tunnelResults);
+    results.rtdb = await saveToRTDB(tunnelResults, context);
   } catch (err) {
     logger.error(`RTDB error: ${err.message}`);
   }
 
   // Notify via ntfy
   try {
-    results.ntfy = await notifyViaLntfy(tunnelResults);
+    results.ntfy = await notifyViaLntfy(tunnelResults, context);
   } catch (err) {
     logger.error(`ntfy error: ${err.message}`);
   }
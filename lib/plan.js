@@ -0,0 +1,161 @@
+/**
+ * plan.js - Execution plan recorded instead of side effects in a dry run (DRY_RUN=1)
+ *
+ * While a plan is active, utils.run, writeFileSafe, removeFile, ensureDir, spawnDetached,
+ * killProcess, downloadBinary, pipeline variables and persistence record steps here instead
+ * of touching the runner or the network. Secret values are masked in every step.
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+
+const PLAN_VERSION = 1;
+
+// Recorded steps, null while no plan is active
+let steps = null;
+
+/**
+ * Start recording a plan
+ * @param {Object} options - { secrets: extra values to mask besides the config secrets }
+ */
+function start(options = {}) {
+  steps = [];
+  (options.secrets || []).forEach(value => logger.registerSecret(value));
+}
+
+/**
+ * Stop recording
+ * @returns {Object[]} Recorded steps
+ */
+function stop() {
+  const recorded = steps || [];
+  steps = null;
+  return recorded;
+}
+
+function isActive() {
+  return steps !== null;
+}
+
+/**
+ * Mask registered secrets (see logger.registerSecret) and per-call patterns in text
+ */
+function mask(text, maskPatterns = []) {
+  let masked = logger.maskMessage(String(text));
+
+  for (const pattern of maskPatterns) {
+    masked = masked.replace(typeof pattern === 'string' ? new RegExp(pattern, 'g') : pattern, '****');
+  }
+
+  return masked;
+}
+
+/**
+ * Record a step
+ * @param {string} type - 'directory' | 'file' | 'remove' | 'command' | 'process' | 'kill' | 'download' | 'network' | 'variable'
+ * @param {Object} details - Step fields, string values are masked
+ * @param {Array<string|RegExp>} maskPatterns - Extra patterns masked in string values
+ */
+function record(type, details, maskPatterns = []) {
+  if (!steps) return;
+
+  const step = { step: steps.length + 1, type };
+  for (const [key, value] of Object.entries(details)) {
+    if (typeof value === 'string') {
+      step[key] = mask(value, maskPatterns);
+    } else if (Array.isArray(value)) {
+      step[key] = value.map(item => (typeof item === 'string' ? mask(item, maskPatterns) : item));
+    } else {
+      step[key] = value;
+    }
+  }
+
+  steps.push(step);
+  logger.debug(`[dry run] ${describe(step)}`);
+}
+
+/**
+ * Get recorded steps of the active plan
+ */
+function getSteps() {
+  return steps ? [...steps] : [];
+}
+
+/**
+ * One-line description of a step
+ */
+function describe(step) {
+  const mode = step.mode !== undefined ? ` (mode ${step.mode.toString(8)})` : '';
+
+  switch (step.type) {
+    case 'directory':
+      return `Create directory ${step.path}${mode}`;
+    case 'file':
+      return `Write file ${step.path}${mode}`;
+    case 'remove':
+      return `Remove file ${step.path}`;
+    case 'command':
+      return `Run: ${step.command}`;
+    case 'process':
+      return `Start: ${[step.command, ...step.args].join(' ')}${step.logFile ? ` > ${step.logFile}` : ''}`;
+    case 'kill':
+      return `Stop process ${step.pid}`;
+    case 'download':
+      return `Download ${step.url} → ${step.dest}`;
+    case 'network':
+      return `${step.method} ${step.url}`;
+    case 'variable':
+      return `Set pipeline variable ${step.name}=${step.value}`;
+    case 'summary':
+      return `Publish job summary on ${step.platform}`;
+    default:
+      return step.type;
+  }
+}
+
+/**
+ * Print the plan with rendered file contents
+ */
+function print(planSteps = getSteps()) {
+  if (logger.format === 'json') {
+    logger.info('Execution plan (dry run)', { steps: planSteps });
+    return;
+  }
+
+  logger.section(`Execution Plan (dry run, ${planSteps.length} steps)`);
+
+  for (const step of planSteps) {
+    console.log(`${String(step.step).padStart(3)}. ${describe(step)}`);
+
+    const body = ['file', 'summary'].includes(step.type) ? step.content : step.type === 'network' ? step.body : null;
+    if (body) {
+      for (const line of body.replace(/\n$/, '').split('\n')) {
+        console.log(`       │ ${line}`);
+      }
+    }
+  }
+
+  console.log('\nNothing was changed on this runner.\n');
+}
+
+/**
+ * Write the plan as JSON document
+ * @returns {string} Path written
+ */
+function writeJson(filePath, planSteps = getSteps()) {
+  const document = { version: PLAN_VERSION, createdAt: new Date().toISOString(), steps: planSteps };
+  fs.writeFileSync(filePath, JSON.stringify(document, null, 2) + '\n', 'utf8');
+  return filePath;
+}
+
+module.exports = {
+  PLAN_VERSION,
+  start,
+  stop,
+  isActive,
+  record,
+  getSteps,
+  describe,
+  print,
+  writeJson,
+};
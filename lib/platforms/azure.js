@@ -0,0 +1,90 @@
+/**
+ * platforms/azure.js - Azure Pipelines
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BasePlatform = require('./base');
+
+class AzurePlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'azure';
+    this.name = 'Azure Pipelines';
+  }
+
+  static detect(env) {
+    return !!env.TF_BUILD;
+  }
+
+  repoName() {
+    return this.env.BUILD_REPOSITORY_NAME || null;
+  }
+
+  runId() {
+    return this.env.AGENT_ID || this.env.BUILD_BUILDID || this.env.BUILD_BUILDNUMBER || null;
+  }
+
+  jobId() {
+    return this.env.SYSTEM_JOBID || null;
+  }
+
+  actor() {
+    return this.env.BUILD_REQUESTEDFOR || null;
+  }
+
+  runUrl() {
+    const { SYSTEM_COLLECTIONURI, SYSTEM_TEAMPROJECT, BUILD_BUILDID } = this.env;
+    if (!SYSTEM_COLLECTIONURI || !SYSTEM_TEAMPROJECT || !BUILD_BUILDID) return null;
+    return `${SYSTEM_COLLECTIONURI}${encodeURIComponent(SYSTEM_TEAMPROJECT)}/_build/results?buildId=${BUILD_BUILDID}`;
+  }
+
+  workspace() {
+    return (
+      this.env.SYSTEM_DEFAULTWORKINGDIRECTORY ||
+      this.env.BUILD_SOURCESDIRECTORY ||
+      this.env.BUILD_REPOSITORY_LOCALPATH ||
+      this.env.AGENT_BUILDDIRECTORY ||
+      null
+    );
+  }
+
+  /**
+   * Pipeline variable via logging command, `$(NAME)` in later steps
+   */
+  exportVariable(name, value, options = {}) {
+    const secret = options.secret ? ';issecret=true' : '';
+    console.log(`##vso[task.setvariable variable=${name}${secret}]${value}`);
+    return 'pipeline variable';
+  }
+
+  formatMaskSecret(value) {
+    return `##vso[task.setsecret]${this.escapeData(value)}`;
+  }
+
+  formatGroup(title) {
+    return `##[group]${this.escapeData(title)}`;
+  }
+
+  formatEndGroup() {
+    return '##[endgroup]';
+  }
+
+  formatAnnotation(type, message, title) {
+    const text = title ? `[${title}] ${message}` : message;
+    return `##vso[task.logissue type=${type}]${this.escapeData(text)}`;
+  }
+
+  /**
+   * Markdown file attached to the build summary as its own tab
+   */
+  writeSummary(markdown) {
+    const file = path.join(this.env.AGENT_TEMPDIRECTORY || os.tmpdir(), 'setup-ssh-summary.md');
+    fs.writeFileSync(file, markdown + '\n', 'utf8');
+    console.log(`##vso[task.uploadsummary]${file}`);
+    return file;
+  }
+}
+
+module.exports = AzurePlatform;
@@ -0,0 +1,246 @@
+/**
+ * platforms/base.js - Base class for CI platform adapters
+ *
+ * An adapter answers everything platform-specific: run/job identifiers, actor,
+ * run URL, workspace, passing variables and outputs to later steps, secret
+ * masking, log groups, annotations, the job summary and the job deadline.
+ * Methods return null when the platform has no such feature.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Written to the workspace on platforms without a native way to pass variables on
+const ENV_FILE = 'setup-ssh.env';
+
+// Approximate job start where the platform does not tell
+const PROCESS_STARTED_AT = Date.now() - process.uptime() * 1000;
+
+/**
+ * Base platform class - all CI platform adapters extend this
+ */
+class BasePlatform {
+  /**
+   * @param {Object} env - Environment variables of the job (default: process.env)
+   */
+  constructor(env = process.env) {
+    this.env = env;
+    this.id = 'base';
+    this.name = 'BasePlatform';
+  }
+
+  /**
+   * Whether the job runs on this platform
+   * @param {Object} _env - Environment variables
+   * @returns {boolean}
+   */
+  static detect(_env) {
+    return false;
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // 🏷️ Run Context
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  /**
+   * Repository name without owner, used in tunnel and device names
+   * @returns {string|null}
+   */
+  repoName() {
+    return null;
+  }
+
+  /**
+   * ID of the current run, unique enough to tell concurrent runners apart
+   * @returns {string|null}
+   */
+  runId() {
+    return null;
+  }
+
+  /**
+   * ID of the current job within the run
+   * @returns {string|null}
+   */
+  jobId() {
+    return null;
+  }
+
+  /**
+   * User who triggered the run
+   * @returns {string|null}
+   */
+  actor() {
+    return null;
+  }
+
+  /**
+   * Server on which actor() is an account, i.e. serves <url>/<actor>.keys
+   * @returns {string|null} null where the actor is a display name or commit author
+   */
+  actorServerUrl() {
+    return null;
+  }
+
+  /**
+   * Link to the run (or job) page
+   * @returns {string|null}
+   */
+  runUrl() {
+    return null;
+  }
+
+  /**
+   * Checkout directory of the job
+   * @returns {string|null}
+   */
+  workspace() {
+    return null;
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // ⏱️ Job Deadline
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  /**
+   * When the job started, process start time if the platform does not tell
+   * @returns {Date}
+   */
+  jobStartedAt() {
+    return new Date(PROCESS_STARTED_AT);
+  }
+
+  /**
+   * When the platform kills the job, if it exposes the job timeout
+   * @returns {Date|null}
+   */
+  jobDeadline() {
+    return null;
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // 📤 Variables and Outputs
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  /**
+   * Make a variable available in the environment of later steps
+   *
+   * Default: append `export NAME='value'` to setup-ssh.env in the workspace,
+   * which later steps can `source`.
+   *
+   * @param {string} name - Variable name
+   * @param {string} value - Variable value
+   * @param {Object} _options - { secret }
+   * @returns {string} Where the variable went, for the debug log
+   */
+  exportVariable(name, value, _options = {}) {
+    const file = this.envFile();
+    this.appendEnvFile(file, name, value);
+    return file;
+  }
+
+  /**
+   * Publish a result of this step; the environment of later steps where the
+   * platform has no separate outputs
+   * @param {Object} options - { secret, exportEnv: also export where outputs are separate }
+   * @returns {string} Where the value went, for the debug log
+   */
+  setOutput(name, value, options = {}) {
+    return this.exportVariable(name, value, options);
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // 📜 Log Commands
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Returned as lines for the logger to print
+
+  /**
+   * Command telling the runner to mask a value in the job log
+   * @returns {string|null}
+   */
+  formatMaskSecret(_value) {
+    return null;
+  }
+
+  /**
+   * Start of a collapsible log group
+   * @returns {string|null}
+   */
+  formatGroup(_title) {
+    return null;
+  }
+
+  /**
+   * End of the open log group
+   * @returns {string|null}
+   */
+  formatEndGroup() {
+    return null;
+  }
+
+  /**
+   * Warning or error annotation shown on the run page
+   * @param {string} _type - 'warning' | 'error'
+   * @param {string} _message - Masked message
+   * @param {string|null} _title - Component, e.g. 'Pinggy'
+   * @returns {string|null}
+   */
+  formatAnnotation(_type, _message, _title) {
+    return null;
+  }
+
+  /**
+   * Publish Markdown on the run page
+   * @returns {string|null} Where it went, null if the platform has no job summary
+   */
+  writeSummary(_markdown) {
+    return null;
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // 🔧 Helpers
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  /**
+   * Path of setup-ssh.env in the workspace
+   */
+  envFile() {
+    return path.join(this.workspace() || process.cwd(), ENV_FILE);
+  }
+
+  /**
+   * Append a variable to an env file
+   * @param {string} format - 'shell' (export NAME='value') or 'dotenv' (NAME=value, single line only)
+   * @throws {Error} Multi-line value in a dotenv file
+   */
+  appendEnvFile(file, name, value, format = 'shell') {
+    if (format === 'dotenv') {
+      if (/[\r\n]/.test(value)) {
+        throw new Error(`multi-line values are not supported in ${path.basename(file)}`);
+      }
+      fs.appendFileSync(file, `${name}=${value}\n`);
+      return;
+    }
+
+    fs.appendFileSync(file, `export ${name}='${value.replace(/'/g, "'\\''")}'\n`);
+  }
+
+  /**
+   * Escape data of a workflow/logging command (same rules on GitHub and Azure)
+   */
+  escapeData(text) {
+    return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  }
+
+  /**
+   * Expand a leading ~ (CircleCI working directory)
+   */
+  expandHome(dir) {
+    return dir && dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+  }
+}
+
+BasePlatform.ENV_FILE = ENV_FILE;
+
+module.exports = BasePlatform;
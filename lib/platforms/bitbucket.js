@@ -0,0 +1,44 @@
+/**
+ * platforms/bitbucket.js - Bitbucket Pipelines
+ *
+ * Variables go to setup-ssh.env in the clone dir (see base.js); declare it as
+ * artifact to pass it on to later steps.
+ */
+
+const BasePlatform = require('./base');
+
+class BitbucketPlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'bitbucket';
+    this.name = 'Bitbucket Pipelines';
+  }
+
+  static detect(env) {
+    return !!env.BITBUCKET_BUILD_NUMBER;
+  }
+
+  repoName() {
+    return this.env.BITBUCKET_REPO_SLUG || null;
+  }
+
+  runId() {
+    return this.env.BITBUCKET_BUILD_NUMBER || null;
+  }
+
+  jobId() {
+    return this.env.BITBUCKET_STEP_UUID || null;
+  }
+
+  runUrl() {
+    const { BITBUCKET_GIT_HTTP_ORIGIN, BITBUCKET_BUILD_NUMBER } = this.env;
+    if (!BITBUCKET_GIT_HTTP_ORIGIN || !BITBUCKET_BUILD_NUMBER) return null;
+    return `${BITBUCKET_GIT_HTTP_ORIGIN}/pipelines/results/${BITBUCKET_BUILD_NUMBER}`;
+  }
+
+  workspace() {
+    return this.env.BITBUCKET_CLONE_DIR || null;
+  }
+}
+
+module.exports = BitbucketPlatform;
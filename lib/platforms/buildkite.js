@@ -0,0 +1,81 @@
+/**
+ * platforms/buildkite.js - Buildkite
+ */
+
+const { execFileSync } = require('child_process');
+const BasePlatform = require('./base');
+
+class BuildkitePlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'buildkite';
+    this.name = 'Buildkite';
+  }
+
+  static detect(env) {
+    return env.BUILDKITE === 'true';
+  }
+
+  repoName() {
+    return this.env.BUILDKITE_PIPELINE_SLUG || null;
+  }
+
+  runId() {
+    return this.env.BUILDKITE_BUILD_NUMBER || null;
+  }
+
+  jobId() {
+    return this.env.BUILDKITE_JOB_ID || null;
+  }
+
+  actor() {
+    return this.env.BUILDKITE_BUILD_CREATOR || null;
+  }
+
+  runUrl() {
+    const { BUILDKITE_BUILD_URL, BUILDKITE_JOB_ID } = this.env;
+    if (!BUILDKITE_BUILD_URL) return null;
+    return BUILDKITE_JOB_ID ? `${BUILDKITE_BUILD_URL}#${BUILDKITE_JOB_ID}` : BUILDKITE_BUILD_URL;
+  }
+
+  workspace() {
+    return this.env.BUILDKITE_BUILD_CHECKOUT_PATH || null;
+  }
+
+  /**
+   * BUILDKITE_TIMEOUT (minutes, 'false' without timeout) counted from process start
+   */
+  jobDeadline() {
+    const timeout = parseInt(this.env.BUILDKITE_TIMEOUT, 10);
+    if (!timeout) return null;
+    return new Date(this.jobStartedAt().getTime() + timeout * 60000);
+  }
+
+  /**
+   * Build meta-data, `buildkite-agent meta-data get NAME` in later steps
+   */
+  exportVariable(name, value) {
+    execFileSync('buildkite-agent', ['meta-data', 'set', name, value], { stdio: 'ignore' });
+    return 'build meta-data';
+  }
+
+  /**
+   * Collapsed group; Buildkite ends it at the next group header
+   */
+  formatGroup(title) {
+    return `--- ${title}`;
+  }
+
+  /**
+   * Annotation on the build page
+   */
+  writeSummary(markdown) {
+    execFileSync('buildkite-agent', ['annotate', '--style', 'info', '--context', 'setup-ssh'], {
+      input: markdown,
+      stdio: ['pipe', 'ignore', 'ignore'],
+    });
+    return 'build annotation';
+  }
+}
+
+module.exports = BuildkitePlatform;
@@ -0,0 +1,52 @@
+/**
+ * platforms/circleci.js - CircleCI
+ */
+
+const BasePlatform = require('./base');
+
+class CircleciPlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'circleci';
+    this.name = 'CircleCI';
+  }
+
+  static detect(env) {
+    return !!env.CIRCLECI;
+  }
+
+  repoName() {
+    return this.env.CIRCLE_PROJECT_REPONAME || null;
+  }
+
+  runId() {
+    return this.env.CIRCLE_WORKFLOW_JOB_ID || this.env.CIRCLE_BUILD_NUM || null;
+  }
+
+  jobId() {
+    return this.env.CIRCLE_WORKFLOW_JOB_ID || this.env.CIRCLE_JOB || null;
+  }
+
+  actor() {
+    return this.env.CIRCLE_USERNAME || null;
+  }
+
+  runUrl() {
+    return this.env.CIRCLE_BUILD_URL || null;
+  }
+
+  workspace() {
+    return this.expandHome(this.env.CIRCLE_WORKING_DIRECTORY) || null;
+  }
+
+  /**
+   * BASH_ENV is sourced by every later step of the job
+   */
+  exportVariable(name, value) {
+    const file = this.env.BASH_ENV || this.envFile();
+    this.appendEnvFile(file, name, value);
+    return file;
+  }
+}
+
+module.exports = CircleciPlatform;
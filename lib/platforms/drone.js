@@ -0,0 +1,84 @@
+/**
+ * platforms/drone.js - Drone and Woodpecker CI
+ *
+ * Steps share the workspace volume, so variables go to setup-ssh.env there.
+ */
+
+const BasePlatform = require('./base');
+
+class DronePlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'drone';
+    this.name = 'Drone';
+  }
+
+  static detect(env) {
+    return env.DRONE === 'true';
+  }
+
+  repoName() {
+    return this.env.DRONE_REPO_NAME || null;
+  }
+
+  runId() {
+    return this.env.DRONE_BUILD_NUMBER || null;
+  }
+
+  jobId() {
+    return this.env.DRONE_STEP_NUMBER || null;
+  }
+
+  actor() {
+    return this.env.DRONE_COMMIT_AUTHOR || null;
+  }
+
+  runUrl() {
+    return this.env.DRONE_BUILD_LINK || null;
+  }
+
+  workspace() {
+    return this.env.DRONE_WORKSPACE || null;
+  }
+}
+
+/**
+ * Woodpecker (Drone fork) uses CI_* variables
+ */
+class WoodpeckerPlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'woodpecker';
+    this.name = 'Woodpecker CI';
+  }
+
+  static detect(env) {
+    return env.CI === 'woodpecker';
+  }
+
+  repoName() {
+    return this.env.CI_REPO_NAME || null;
+  }
+
+  runId() {
+    return this.env.CI_PIPELINE_NUMBER || null;
+  }
+
+  jobId() {
+    return this.env.CI_STEP_NUMBER || null;
+  }
+
+  actor() {
+    return this.env.CI_COMMIT_AUTHOR || null;
+  }
+
+  runUrl() {
+    return this.env.CI_PIPELINE_URL || null;
+  }
+
+  workspace() {
+    return this.env.CI_WORKSPACE || null;
+  }
+}
+
+module.exports = { DronePlatform, WoodpeckerPlatform };
@@ -0,0 +1,116 @@
+/**
+ * platforms/github.js - GitHub Actions
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const BasePlatform = require('./base');
+
+class GithubPlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'github';
+    this.name = 'GitHub Actions';
+  }
+
+  static detect(env) {
+    return !!env.GITHUB_ACTIONS;
+  }
+
+  repoName() {
+    const repository = this.env.GITHUB_REPOSITORY;
+    return repository && repository.includes('/') ? repository.split('/').pop() : null;
+  }
+
+  runId() {
+    return this.env.GITHUB_RUN_ID || this.env.GITHUB_RUN_NUMBER || this.env.RUNNER_NAME || null;
+  }
+
+  jobId() {
+    return this.env.GITHUB_JOB || null;
+  }
+
+  actor() {
+    return this.env.GITHUB_ACTOR || null;
+  }
+
+  actorServerUrl() {
+    return this.env.GITHUB_SERVER_URL || 'https://github.com';
+  }
+
+  runUrl() {
+    const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = this.env;
+    if (!GITHUB_REPOSITORY || !GITHUB_RUN_ID) return null;
+    return `${GITHUB_SERVER_URL || 'https://github.com'}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
+  }
+
+  workspace() {
+    return this.env.GITHUB_WORKSPACE || null;
+  }
+
+  exportVariable(name, value) {
+    if (!this.env.GITHUB_ENV) return null;
+    this.appendFileCommand(this.env.GITHUB_ENV, name, value);
+    return this.env.GITHUB_ENV;
+  }
+
+  /**
+   * Step output (steps.<id>.outputs.<name>), also GITHUB_ENV with options.exportEnv
+   */
+  setOutput(name, value, options = {}) {
+    const targets = [];
+
+    if (this.env.GITHUB_OUTPUT) {
+      this.appendFileCommand(this.env.GITHUB_OUTPUT, name, value);
+      targets.push(this.env.GITHUB_OUTPUT);
+    }
+    if (options.exportEnv) {
+      targets.push(this.exportVariable(name, value));
+    }
+
+    return targets.filter(Boolean).join(', ');
+  }
+
+  formatMaskSecret(value) {
+    return `::add-mask::${this.escapeData(value)}`;
+  }
+
+  formatGroup(title) {
+    return `::group::${this.escapeData(title)}`;
+  }
+
+  formatEndGroup() {
+    return '::endgroup::';
+  }
+
+  formatAnnotation(type, message, title) {
+    const escapedTitle = this.escapeData(title || 'setup-ssh')
+      .replace(/:/g, '%3A')
+      .replace(/,/g, '%2C');
+    return `::${type} title=${escapedTitle}::${this.escapeData(message)}`;
+  }
+
+  writeSummary(markdown) {
+    const file = this.env.GITHUB_STEP_SUMMARY;
+    if (!file) return null;
+
+    fs.appendFileSync(file, markdown + '\n', 'utf8');
+    return file;
+  }
+
+  /**
+   * Append name=value to a file command (GITHUB_OUTPUT, GITHUB_ENV)
+   * Multi-line values use a random heredoc delimiter that cannot occur in the value.
+   */
+  appendFileCommand(file, name, value) {
+    if (!/[\r\n]/.test(value)) {
+      fs.appendFileSync(file, `${name}=${value}\n`);
+      return;
+    }
+
+    const delimiter = `ghadelimiter_${crypto.randomBytes(16).toString('hex')}`;
+    fs.appendFileSync(file, `${name}<<${delimiter}\n${value}\n${delimiter}\n`);
+  }
+}
+
+module.exports = GithubPlatform;
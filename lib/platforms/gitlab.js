@@ -0,0 +1,91 @@
+/**
+ * platforms/gitlab.js - GitLab CI/CD
+ */
+
+const BasePlatform = require('./base');
+
+// Section names must be unique within the job log
+let sectionCount = 0;
+
+class GitlabPlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'gitlab';
+    this.name = 'GitLab CI';
+    this.section = null;
+  }
+
+  static detect(env) {
+    return !!env.GITLAB_CI;
+  }
+
+  repoName() {
+    return this.env.CI_PROJECT_NAME || null;
+  }
+
+  runId() {
+    return this.env.CI_JOB_ID || this.env.CI_PIPELINE_ID || null;
+  }
+
+  jobId() {
+    return this.env.CI_JOB_ID || null;
+  }
+
+  actor() {
+    return this.env.GITLAB_USER_LOGIN || null;
+  }
+
+  actorServerUrl() {
+    return this.env.CI_SERVER_URL || null;
+  }
+
+  runUrl() {
+    return this.env.CI_JOB_URL || this.env.CI_PIPELINE_URL || null;
+  }
+
+  workspace() {
+    return this.env.CI_PROJECT_DIR || null;
+  }
+
+  jobStartedAt() {
+    const startedAt = Date.parse(this.env.CI_JOB_STARTED_AT || '');
+    return Number.isNaN(startedAt) ? super.jobStartedAt() : new Date(startedAt);
+  }
+
+  /**
+   * CI_JOB_TIMEOUT (seconds) counted from CI_JOB_STARTED_AT
+   */
+  jobDeadline() {
+    const timeout = parseInt(this.env.CI_JOB_TIMEOUT, 10);
+    if (!timeout) return null;
+    return new Date(this.jobStartedAt().getTime() + timeout * 1000);
+  }
+
+  /**
+   * setup-ssh.env in the project dir, for later jobs via
+   * `artifacts: reports: dotenv: setup-ssh.env`
+   */
+  exportVariable(name, value) {
+    const file = this.envFile();
+    this.appendEnvFile(file, name, value, 'dotenv');
+    return file;
+  }
+
+  /**
+   * Collapsed section; GitLab matches start and end by name
+   */
+  formatGroup(title) {
+    sectionCount += 1;
+    this.section = `setup_ssh_${sectionCount}`;
+    return `\x1b[0Ksection_start:${Math.floor(Date.now() / 1000)}:${this.section}[collapsed=true]\r\x1b[0K${title}`;
+  }
+
+  formatEndGroup() {
+    if (!this.section) return null;
+    const line = `\x1b[0Ksection_end:${Math.floor(Date.now() / 1000)}:${this.section}\r\x1b[0K`;
+    this.section = null;
+    return line;
+  }
+}
+
+module.exports = GitlabPlatform;
@@ -0,0 +1,54 @@
+/**
+ * platforms/index.js - CI platform adapters and detection
+ *
+ * Each adapter reads repo name, run ID and workspace from its platform's env
+ * variables and passes pipeline variables on to later steps (see base.js).
+ */
+
+const BasePlatform = require('./base');
+const GithubPlatform = require('./github');
+const AzurePlatform = require('./azure');
+const GitlabPlatform = require('./gitlab');
+const CircleciPlatform = require('./circleci');
+const JenkinsPlatform = require('./jenkins');
+const BuildkitePlatform = require('./buildkite');
+const BitbucketPlatform = require('./bitbucket');
+const { DronePlatform, WoodpeckerPlatform } = require('./drone');
+
+// Detection order; Woodpecker before Drone, it may set DRONE_* for compatibility
+const PLATFORMS = [
+  GithubPlatform,
+  AzurePlatform,
+  GitlabPlatform,
+  CircleciPlatform,
+  JenkinsPlatform,
+  BuildkitePlatform,
+  BitbucketPlatform,
+  WoodpeckerPlatform,
+  DronePlatform,
+];
+
+/**
+ * Adapter of the CI platform the process runs on
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {BasePlatform|null} null outside a known CI platform
+ */
+function detectPlatform(env = process.env) {
+  const Platform = PLATFORMS.find(candidate => candidate.detect(env));
+  return Platform ? new Platform(env) : null;
+}
+
+module.exports = {
+  PLATFORMS,
+  detectPlatform,
+  BasePlatform,
+  GithubPlatform,
+  AzurePlatform,
+  GitlabPlatform,
+  CircleciPlatform,
+  JenkinsPlatform,
+  BuildkitePlatform,
+  BitbucketPlatform,
+  DronePlatform,
+  WoodpeckerPlatform,
+};
@@ -0,0 +1,59 @@
+/**
+ * platforms/jenkins.js - Jenkins
+ */
+
+const path = require('path');
+const BasePlatform = require('./base');
+
+class JenkinsPlatform extends BasePlatform {
+  constructor(env) {
+    super(env);
+    this.id = 'jenkins';
+    this.name = 'Jenkins';
+  }
+
+  static detect(env) {
+    return !!env.JENKINS_URL;
+  }
+
+  repoName() {
+    if (this.env.GIT_URL) {
+      return path.basename(this.env.GIT_URL).replace(/\.git$/, '');
+    }
+    return this.env.JOB_BASE_NAME || null;
+  }
+
+  runId() {
+    return this.env.BUILD_NUMBER || this.env.BUILD_ID || null;
+  }
+
+  jobId() {
+    return this.env.BUILD_TAG || null;
+  }
+
+  /**
+   * Set by the Build User Vars plugin
+   */
+  actor() {
+    return this.env.BUILD_USER_ID || null;
+  }
+
+  runUrl() {
+    return this.env.BUILD_URL || null;
+  }
+
+  workspace() {
+    return this.env.WORKSPACE || null;
+  }
+
+  /**
+   * setup-ssh.env in the workspace as properties, for `readProperties file: 'setup-ssh.env'`
+   */
+  exportVariable(name, value) {
+    const file = this.envFile();
+    this.appendEnvFile(file, name, value, 'dotenv');
+    return file;
+  }
+}
+
+module.exports = JenkinsPlatform;
@@ -0,0 +1,48 @@
+/**
+ * prune.js - Delete stale remote tunnels left behind by earlier runs
+ */
+
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const state = require('./state');
+const { registry, loadExternalProviders } = require('./tunnels');
+const { ConfigError } = require('./errors');
+
+/**
+ * Prune stale tunnels of every provider that supports it (implements prune())
+ *
+ * Tunnels recorded in the current run manifest are never pruned.
+ *
+ * @param {Object} options - { maxAgeHours, prefix } (defaults from provider settings)
+ * @returns {Promise<Object>} Map of provider id to names of deleted tunnels
+ */
+async function prune(options = {}) {
+  if (options.maxAgeHours !== undefined && !(options.maxAgeHours >= 0)) {
+    throw new ConfigError(`Invalid tunnel age: ${options.maxAgeHours} (expected hours >= 0)`);
+  }
+
+  logger.section('Prune Tunnels');
+  loadExternalProviders(config);
+
+  const session = state.load();
+  const exclude = ((session && session.tunnels) || []).map(t => t.tunnelId).filter(Boolean);
+  const report = {};
+
+  for (const provider of registry.list()) {
+    const tunnel = new provider.TunnelClass(config, utils, hostrunner);
+    if (typeof tunnel.prune !== 'function') continue;
+
+    report[provider.id] = await tunnel.prune({ ...options, exclude });
+  }
+
+  const total = Object.values(report).reduce((sum, deleted) => sum + deleted.length, 0);
+  logger.success(`Prune complete (${total} tunnel(s) deleted)`);
+
+  return report;
+}
+
+module.exports = {
+  prune,
+};
@@ -0,0 +1,57 @@
+/**
+ * session.js - Handle returned by run() to control the started session
+ */
+
+const { teardown } = require('./teardown');
+const { getStatus } = require('./status');
+const { waitForUser } = require('./wait');
+
+class Session {
+  /**
+   * @param {Object} results - { ssh, tunnels, persistence, plan, report, wait } collected by run()
+   * @param {Promise<number>[]} foreground - Exit codes of tunnels running in the foreground
+   */
+  constructor(results, foreground = []) {
+    this.ssh = results.ssh;
+    this.tunnels = results.tunnels;
+    this.persistence = results.persistence;
+    this.plan = results.plan || null;
+    this.report = results.report || null;
+    this.wait = results.wait || null;
+    this.foreground = foreground;
+  }
+
+  /**
+   * Stop sshd and tunnels and undo changes (see lib/teardown.js)
+   */
+  async stop() {
+    return teardown();
+  }
+
+  /**
+   * Live health of sshd and tunnels (see lib/status.js)
+   */
+  async status() {
+    return getStatus();
+  }
+
+  /**
+   * Block until the user connected and disconnected (see lib/wait.js)
+   * @param {Object} options - { timeout, pollInterval, continueFile }
+   */
+  async waitForDisconnect(options = {}) {
+    this.wait = await waitForUser(options);
+    return this.wait;
+  }
+
+  /**
+   * Wait for foreground tunnels to exit
+   * @returns {Promise<number>} First non-zero exit code, or 0
+   */
+  async waitForForeground() {
+    const codes = await Promise.all(this.foreground);
+    return codes.find(code => code !== 0) ?? 0;
+  }
+}
+
+module.exports = Session;
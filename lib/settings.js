@@ -0,0 +1,432 @@
+/**
+ * settings.js - Table of core settings read by Config
+ *
+ * Each entry:
+ *   key          - Dotted path in config and in config files, e.g. 'ssh.port'
+ *   env          - Environment variable overriding the config file
+ *   flag         - CLI flag overriding env (without leading --)
+ *   type         - 'string' | 'int' | 'number' | 'port' | 'boolean' | 'list' | 'template'
+ *                  ('port' is a string checked to be 1-65535)
+ *   min, max     - Allowed range of int, number and port settings
+ *   enum         - Allowed values of string settings (case-insensitive, stored lowercase)
+ *   secret       - Value is masked in the configuration summary and errors
+ *   default      - Value when no source sets it (function receives the Config instance)
+ *   description  - Shown in --help
+ *
+ * Tunnel settings come from each provider's schema (see lib/tunnels/registry.js)
+ * and live under 'tunnels.<id>.<key>'.
+ */
+
+const os = require('os');
+const path = require('path');
+
+const SETTINGS = [
+  // SSH server
+  { key: 'ssh.port', env: 'SSH_PORT', flag: 'port', type: 'port', default: '2222', description: 'SSH server port' },
+  {
+    key: 'ssh.mode',
+    env: 'SSH_MODE',
+    flag: 'mode',
+    enum: ['auto', 'root', 'user'],
+    default: 'auto',
+    description: 'SSH mode',
+  },
+  {
+    key: 'ssh.publicKey',
+    env: 'PIPELINE_SSH_PUBKEY',
+    flag: 'pubkey',
+    default: null,
+    description: 'Public key(s) allowed to log in',
+  },
+  {
+    key: 'ssh.publicKeyFile',
+    env: 'PIPELINE_SSH_PUBKEY_FILE',
+    flag: 'pubkey-file',
+    default: null,
+    description: 'File with public key(s) allowed to log in',
+  },
+  {
+    key: 'ssh.githubUsers',
+    env: 'PIPELINE_SSH_GITHUB_USERS',
+    flag: 'github-users',
+    type: 'list',
+    default: [],
+    description: 'Users whose public keys (<keys-url>/<user>.keys) are allowed to log in',
+  },
+  {
+    key: 'ssh.authorizeActor',
+    env: 'PIPELINE_SSH_AUTHORIZE_ACTOR',
+    flag: 'authorize-actor',
+    type: 'boolean',
+    default: false,
+    description: 'Allow the user who triggered the run (GITHUB_ACTOR, ...) to log in',
+  },
+  {
+    key: 'ssh.keysUrl',
+    env: 'PIPELINE_SSH_KEYS_URL',
+    flag: 'keys-url',
+    default: 'https://github.com',
+    description: 'Where user keys are fetched from (GitHub Enterprise, GitLab)',
+  },
+  {
+    key: 'ssh.keyOptions',
+    env: 'PIPELINE_SSH_KEY_OPTIONS',
+    flag: 'key-options',
+    default: null,
+    description: 'authorized_keys options for every key, e.g. no-agent-forwarding,no-port-forwarding',
+  },
+  {
+    key: 'ssh.keyTtl',
+    env: 'PIPELINE_SSH_KEY_TTL',
+    flag: 'key-ttl',
+    type: 'int',
+    min: 60000,
+    default: null,
+    description: 'Keys expire this long after setup (ms, sets expiry-time)',
+  },
+  {
+    key: 'ssh.keyRestrictions',
+    env: 'PIPELINE_SSH_KEY_RESTRICTIONS',
+    flag: 'key-restrictions',
+    default: null,
+    description: "Per source or key options, one '<source|fingerprint> <options>' rule per line",
+  },
+  {
+    key: 'ssh.listenAddress',
+    env: 'SSH_LISTEN_ADDRESS',
+    flag: 'listen',
+    default: '127.0.0.1',
+    description: 'Address sshd listens on',
+  },
+  {
+    key: 'ssh.allowUsers',
+    env: 'SSH_ALLOW_USERS',
+    flag: 'allow-users',
+    type: 'list',
+    default: [],
+    description: 'Users allowed to log in (default: current user)',
+  },
+  {
+    key: 'ssh.defaultCwd',
+    env: 'SSH_DEFAULT_CWD',
+    flag: 'cwd',
+    default: null,
+    description: 'Working directory of SSH sessions (default: CI workspace)',
+  },
+  {
+    key: 'ssh.disableForceCwd',
+    env: 'SSH_DISABLE_FORCE_CWD',
+    flag: 'disable-force-cwd',
+    type: 'boolean',
+    default: false,
+    description: 'Do not change into the working directory on login',
+  },
+
+  // Timeouts in milliseconds
+  {
+    key: 'timeouts.portWait',
+    env: 'SSH_PORT_TIMEOUT',
+    flag: 'timeout-port',
+    type: 'int',
+    min: 1000,
+    default: 8000,
+    description: 'Wait for sshd port (ms)',
+  },
+  {
+    key: 'timeouts.cfEndpoint',
+    env: 'CF_ENDPOINT_TIMEOUT',
+    flag: 'timeout-cf-endpoint',
+    type: 'int',
+    min: 5000,
+    default: 15000,
+    description: 'Wait for Cloudflare endpoint (ms)',
+  },
+  {
+    key: 'timeouts.httpRequest',
+    env: 'HTTP_REQUEST_TIMEOUT',
+    flag: 'timeout-http',
+    type: 'int',
+    min: 1,
+    default: 8000,
+    description: 'HTTP requests (ms)',
+  },
+  {
+    key: 'timeouts.tunnelStartup',
+    env: 'TUNNEL_STARTUP_TIMEOUT',
+    flag: 'timeout-tunnel',
+    type: 'int',
+    min: 1,
+    default: 10000,
+    description: 'Wait for tunnel endpoint (ms)',
+  },
+  {
+    key: 'timeouts.downloadTimeout',
+    env: 'DOWNLOAD_TIMEOUT',
+    flag: 'timeout-download',
+    type: 'int',
+    min: 1,
+    default: 30000,
+    description: 'Binary downloads (ms)',
+  },
+  {
+    key: 'timeouts.job',
+    env: 'JOB_TIMEOUT',
+    flag: 'timeout-job',
+    type: 'int',
+    min: 60000,
+    default: null,
+    description: 'Job timeout of the CI platform (ms), where it does not expose it',
+  },
+
+  // Config templates (raw or base64)
+  {
+    key: 'templates.sshdConfig',
+    env: 'SSHD_CONFIG_TEMPLATE',
+    flag: 'sshd-config-template',
+    type: 'template',
+    default: null,
+    description: 'Custom sshd_config template',
+  },
+  {
+    key: 'templates.cloudflaredConfig',
+    env: 'CLOUDFLARED_CONFIG_TEMPLATE',
+    flag: 'cloudflared-config-template',
+    type: 'template',
+    default: null,
+    description: 'Custom cloudflared config.yml template',
+  },
+
+  // Download URLs
+  {
+    key: 'downloads.cloudflared',
+    env: 'CLOUDFLARED_DOWNLOAD_URL',
+    flag: 'cloudflared-url',
+    default: c => c.getCloudflaredUrl(),
+    description: 'cloudflared download URL',
+  },
+  {
+    key: 'downloads.pinggy',
+    env: 'PINGGY_DOWNLOAD_URL',
+    flag: 'pinggy-url',
+    default: 'https://pinggy.io/pinggy',
+    description: 'Pinggy CLI download URL',
+  },
+  {
+    key: 'downloads.sshj',
+    env: 'SSHJ_DOWNLOAD_URL',
+    flag: 'sshj-url',
+    default: c => c.getSshjUrl(),
+    description: 'SSH-J CLI download URL',
+  },
+
+  // Binary installation paths
+  {
+    key: 'paths.cloudflared',
+    env: 'CLOUDFLARED_PATH',
+    flag: 'cloudflared-path',
+    default: c => c.getCloudflaredPath(),
+    description: 'cloudflared install path',
+  },
+  {
+    key: 'paths.pinggy',
+    env: 'PINGGY_PATH',
+    flag: 'pinggy-path',
+    default: c => c.getPinggyPath(),
+    description: 'Pinggy CLI install path',
+  },
+  {
+    key: 'paths.sshj',
+    env: 'SSHJ_PATH',
+    flag: 'sshj-path',
+    default: c => c.getSshjPath(),
+    description: 'SSH-J CLI install path',
+  },
+  {
+    key: 'paths.sshd',
+    env: 'SSHD_PATH',
+    flag: 'sshd-path',
+    default: c => c.getSshdPath(),
+    description: 'sshd binary',
+  },
+
+  // Persistence
+  {
+    key: 'persistence.rtdb.url',
+    env: 'ENV_SSH_URLS',
+    flag: 'rtdb-url',
+    default: null,
+    secret: true,
+    description: 'Firebase RTDB URL for tunnel endpoints',
+  },
+  {
+    key: 'persistence.rtdb.id',
+    env: 'ENV_SSH_URLS_ID',
+    flag: 'rtdb-id',
+    default: null,
+    description: 'Record ID in RTDB',
+  },
+  {
+    key: 'persistence.ntfy.topic',
+    env: 'ENV_NTFY_TOPIC',
+    flag: 'ntfy-topic',
+    default: null,
+    secret: true,
+    description: 'ntfy topic for notifications',
+  },
+  {
+    key: 'persistence.ntfy.url',
+    env: 'NTFY_URL',
+    flag: 'ntfy-url',
+    default: 'https://ntfy.sh',
+    description: 'ntfy server',
+  },
+
+  // Supervisor
+  {
+    key: 'supervisor.interval',
+    env: 'SUPERVISE_INTERVAL',
+    flag: 'supervise-interval',
+    type: 'int',
+    min: 1000,
+    default: 15000,
+    description: 'Health check interval (ms)',
+  },
+  {
+    key: 'supervisor.maxRetries',
+    env: 'SUPERVISE_MAX_RETRIES',
+    flag: 'supervise-max-retries',
+    type: 'int',
+    min: 1,
+    default: 5,
+    description: 'Restart attempts per failure',
+  },
+  {
+    key: 'supervisor.maxBackoff',
+    env: 'SUPERVISE_MAX_BACKOFF',
+    flag: 'supervise-max-backoff',
+    type: 'int',
+    min: 0,
+    default: 60000,
+    description: 'Maximum delay between restarts (ms)',
+  },
+
+  // Wait for user
+  {
+    key: 'wait.enabled',
+    env: 'WAIT_FOR_USER',
+    flag: 'wait',
+    type: 'boolean',
+    default: false,
+    description: 'After run, pause until the user is done',
+  },
+  {
+    key: 'wait.timeout',
+    env: 'WAIT_TIMEOUT',
+    flag: 'wait-timeout',
+    type: 'int',
+    min: 0,
+    default: 3600000,
+    description: 'Maximum wait (ms)',
+  },
+  {
+    key: 'wait.pollInterval',
+    env: 'WAIT_POLL_INTERVAL',
+    flag: 'wait-poll-interval',
+    type: 'int',
+    min: 100,
+    default: 5000,
+    description: 'Session check interval (ms)',
+  },
+  {
+    key: 'wait.continueFile',
+    env: 'WAIT_CONTINUE_FILE',
+    flag: 'continue-file',
+    default: () => path.join(os.homedir(), 'continue'),
+    description: 'Touch this file to end the wait',
+  },
+
+  // Logging
+  {
+    key: 'log.format',
+    env: 'LOG_FORMAT',
+    flag: 'log-format',
+    enum: ['text', 'json'],
+    default: 'text',
+    description: 'Console log format: colored text or JSON lines',
+  },
+  {
+    key: 'log.file',
+    env: 'LOG_FILE',
+    flag: 'log-file',
+    default: null,
+    description: 'Also append the full debug log as JSON lines to this file',
+  },
+
+  // Output
+  {
+    key: 'output.format',
+    env: 'SETUP_SSH_OUTPUT',
+    flag: 'output',
+    enum: ['text', 'json'],
+    default: 'text',
+    description: 'run: print the result as text or as JSON document on stdout',
+  },
+  {
+    key: 'output.file',
+    env: 'SETUP_SSH_OUTPUT_FILE',
+    flag: 'output-file',
+    default: null,
+    description: 'run: write the JSON result document to this file',
+  },
+  {
+    key: 'output.exportEnv',
+    env: 'SETUP_SSH_EXPORT_ENV',
+    flag: 'export-env',
+    type: 'boolean',
+    default: false,
+    description: 'GitHub Actions: also export endpoints to later steps via GITHUB_ENV',
+  },
+
+  // Other
+  {
+    key: 'tunnelProviders',
+    env: 'TUNNEL_PROVIDERS',
+    flag: 'tunnel-providers',
+    type: 'list',
+    default: [],
+    description: 'npm packages with extra tunnel providers',
+  },
+  {
+    key: 'maxTunnelNameLength',
+    env: 'MAX_TUNNEL_NAME_LENGTH',
+    flag: 'max-tunnel-name-length',
+    type: 'int',
+    min: 8,
+    default: 28,
+    description: 'Maximum generated tunnel name length',
+  },
+  {
+    key: 'dryRun',
+    env: 'DRY_RUN',
+    flag: 'dry-run',
+    type: 'boolean',
+    default: false,
+    description: 'Print the execution plan instead of changing the runner',
+  },
+  {
+    key: 'planFile',
+    env: 'DRY_RUN_PLAN_FILE',
+    flag: 'plan-file',
+    default: null,
+    description: 'Also write the dry-run plan as JSON to this file',
+  },
+  {
+    key: 'stateFile',
+    env: 'SETUP_SSH_STATE_FILE',
+    flag: 'state-file',
+    default: () => path.join(os.homedir(), '.ssh', 'ci-sshd', 'state.json'),
+    description: 'Run manifest path',
+  },
+];
+
+module.exports = SETTINGS;
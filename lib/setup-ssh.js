@@ -8,8 +8,13 @@ const os = require('os');
 const logger = require('./logger');
 const utils = require('./utils');
 const config = require('./config');
+const state = require('./state');
+const { collectAuthorizedKeys } = require('./authorized-keys');
+const { hasForcedCommand } = require('./key-options');
 const { SSHDError, PermissionError } = require('./errors');
 
+const KEY_MARKER = 'Added by setup-ssh';
+
 class SetupSSH {
   constructor() {
     this.HOME = os.homedir();
@@ -29,33 +34,56 @@ class SetupSSH {
   }
 
   /**
-   * Write authorized_keys file
+   * Record what was started or changed in the run manifest right away, so that
+   * `setup-ssh stop` can undo it even when a later setup step fails
    */
-  writeAuthorizedKeys(pubkey) {
-    if (!pubkey || !pubkey.trim()) {
-      throw new SSHDError('PIPELINE_SSH_PUBKEY is required');
+  recordState(patch) {
+    const session = state.get();
+    if (session) {
+      state.update({ ssh: { ...session.ssh, ...patch } });
     }
+  }
 
+  /**
+   * Collect keys from all configured sources and write authorized_keys
+   * @returns {Promise<Object[]>} Authorized keys: [{ type, bits, fingerprint, comment, source, options, forcedCommand }]
+   */
+  async authorizeKeys() {
     logger.section('Writing SSH Authorized Keys');
 
-    utils.ensureDir(this.PATHS.ssh_dir, 0o700);
-
-    // Parse and validate keys
-    const keys = pubkey
-      .split('\n')
-      .map(k => k.trim())
-      .filter(k => k && !k.startsWith('#'))
-      .filter(k => k.startsWith('ssh-'));
+    const keys = await collectAuthorizedKeys();
 
-    if (keys.length === 0) {
-      throw new SSHDError('No valid SSH keys found in PIPELINE_SSH_PUBKEY');
+    logger.info(`Found ${keys.length} valid SSH key(s)`);
+    for (const key of keys) {
+      const size = key.bits ? ` ${key.bits} bit` : '';
+      logger.info(`  ${key.fingerprint} ${key.type}${size} ${key.comment ? `${key.comment} ` : ''}(${key.source})`);
+      if (key.options) {
+        logger.info(`    restricted: ${key.options}`);
+      }
     }
 
-    logger.info(`Found ${keys.length} valid SSH key(s)`);
+    this.writeAuthorizedKeys(keys);
+    return keys.map(({ type, bits, fingerprint, comment, source, options }) => ({
+      type,
+      bits,
+      fingerprint,
+      comment,
+      source,
+      options,
+      forcedCommand: hasForcedCommand({ options }),
+    }));
+  }
+
+  /**
+   * Write authorized_keys file
+   * @param {Object[]} keys - Keys from collectAuthorizedKeys()
+   */
+  writeAuthorizedKeys(keys) {
+    utils.ensureDir(this.PATHS.ssh_dir, 0o700);
 
     // Add timestamp comment
     const timestamp = new Date().toISOString();
-    const content = keys.map(k => `${k} # Added by setup-ssh at ${timestamp}`).join('\n') + '\n';
+    const content = keys.map(k => `${k.line} # ${KEY_MARKER} at ${timestamp}`).join('\n') + '\n';
 
     utils.writeFileSafe(this.PATHS.authorized_keys, content, 0o600);
     logger.success(`Authorized keys written: ${this.PATHS.authorized_keys}`);
@@ -143,9 +171,11 @@ Match User ${this.CURRENT_USER}
     // Start sshd
     logger.info('Starting SSHD in user mode...');
     const sshdPath = config.paths.sshd;
-    const pid = utils.spawnDetached(sshdPath, ['-f', cfgPath, '-D'], logPath);
+    // -e: log to stderr (sshd.log) instead of syslog, wait mode counts sessions from it
+    const pid = utils.spawnDetached(sshdPath, ['-f', cfgPath, '-D', '-e'], logPath);
+    this.recordState({ mode: 'user', pid, pidFile: pidPath, baseDir, logPath, port: sshPort });
 
-    fs.writeFileSync(pidPath, String(pid), 'utf8');
+    utils.writePidFile(pidPath, pid);
     logger.success(`SSHD started (PID: ${pid})`);
     logger.info(`Log file: ${logPath}`);
 
@@ -165,6 +195,10 @@ Match User ${this.CURRENT_USER}
       logPath,
       pid,
       port: sshPort,
+      hostKeys: {
+        ed25519: `${hostKeyEd}.pub`,
+        rsa: `${hostKeyRsa}.pub`,
+      },
     };
   }
 
@@ -180,10 +214,13 @@ Match User ${this.CURRENT_USER}
     }
 
     // Backup original config
-    const backupPath = this.PATHS.sshd_config + '.backup-' + Date.now();
+    let backupPath = this.PATHS.sshd_config + '.backup-' + Date.now();
     if (fs.existsSync(this.PATHS.sshd_config)) {
       utils.run(`sudo cp "${this.PATHS.sshd_config}" "${backupPath}"`, { ignoreError: true });
+      this.recordState({ mode: 'root', backupPath });
       logger.info(`Backed up config to: ${backupPath}`);
+    } else {
+      backupPath = null;
     }
 
     // Modify system sshd_config
@@ -232,6 +269,11 @@ Match User ${this.CURRENT_USER}
     return {
       mode: 'root',
       port: sshPort,
+      backupPath,
+      hostKeys: {
+        ed25519: '/etc/ssh/ssh_host_ed25519_key.pub',
+        rsa: '/etc/ssh/ssh_host_rsa_key.pub',
+      },
     };
   }
 
@@ -278,9 +320,64 @@ Match User ${this.CURRENT_USER}
     return {
       mode: 'windows',
       port: sshPort,
+      hostKeys: {
+        ed25519: 'C:\\ProgramData\\ssh\\ssh_host_ed25519_key.pub',
+        rsa: 'C:\\ProgramData\\ssh\\ssh_host_rsa_key.pub',
+      },
     };
   }
 
+  /**
+   * Remove keys tagged by writeAuthorizedKeys, keep everything else
+   * @returns {number} Number of removed lines
+   */
+  removeAuthorizedKeys() {
+    const keysPath = this.PATHS.authorized_keys;
+
+    if (!fs.existsSync(keysPath)) {
+      return 0;
+    }
+
+    const lines = fs.readFileSync(keysPath, 'utf8').split('\n');
+    const kept = lines.filter(line => !line.includes(`# ${KEY_MARKER}`));
+    const removed = lines.length - kept.length;
+
+    if (removed === 0) {
+      return 0;
+    }
+
+    if (kept.every(line => !line.trim())) {
+      utils.removeFile(keysPath);
+    } else {
+      utils.writeFileSafe(keysPath, kept.join('\n'), 0o600);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Restore system sshd_config from backup created by linuxRootMode
+   * @returns {boolean} true if restored
+   */
+  restoreRootConfig(backupPath) {
+    if (!backupPath || !fs.existsSync(backupPath)) {
+      return false;
+    }
+
+    logger.info(`Restoring sshd_config from: ${backupPath}`);
+    try {
+      utils.run(`sudo mv "${backupPath}" "${this.PATHS.sshd_config}"`);
+    } catch (err) {
+      logger.warn(`Failed to restore sshd_config: ${err.message}`);
+      return false;
+    }
+
+    logger.info('Restarting SSHD service...');
+    utils.run('sudo systemctl restart sshd', { ignoreError: true });
+    utils.run('sudo service sshd restart', { ignoreError: true });
+    return true;
+  }
+
   /**
    * Main setup method - auto-detect mode
    */
@@ -288,26 +385,38 @@ Match User ${this.CURRENT_USER}
     const sshPort = config.ssh.port;
     const sshMode = config.ssh.mode;
     const sshDefaultCwd = config.ssh.defaultCwd || require('./hostrunner').detectDefaultCwd();
-    const disableForceCwd = config.ssh.disableForceCwd;
+    let disableForceCwd = config.ssh.disableForceCwd;
     const allowUsers = config.ssh.allowUsers;
 
     // Write authorized keys first
-    this.writeAuthorizedKeys(config.ssh.publicKey);
+    const authorizedKeys = await this.authorizeKeys();
+
+    // sshd runs a ForceCommand from sshd_config instead of command= of the key
+    if (!disableForceCwd && authorizedKeys.some(key => key.forcedCommand)) {
+      logger.warn(
+        'Keys with command= restriction: not forcing the working directory, ForceCommand would override them'
+      );
+      disableForceCwd = true;
+    }
 
     // Setup based on platform and mode
+    let result;
     if (utils.isWindows) {
-      return await this.windowsSetup(sshPort, allowUsers);
+      result = await this.windowsSetup(sshPort, allowUsers);
     } else if (utils.isLinux) {
       if (sshMode === 'root') {
-        return await this.linuxRootMode(sshPort, sshDefaultCwd, disableForceCwd, allowUsers);
+        result = await this.linuxRootMode(sshPort, sshDefaultCwd, disableForceCwd, allowUsers);
       } else {
         // Default to user mode
-        return await this.linuxUserMode(sshPort, sshDefaultCwd, disableForceCwd);
+        result = await this.linuxUserMode(sshPort, sshDefaultCwd, disableForceCwd);
       }
     } else {
       throw new SSHDError(`Unsupported platform: ${os.platform()}`);
     }
+
+    return { ...result, authorizedKeys };
   }
 }
 
 module.exports = SetupSSH;
+module.exports.KEY_MARKER = KEY_MARKER;
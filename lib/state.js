@@ -0,0 +1,139 @@
+/**
+ * state.js - Run manifest describing resources created by a setup run
+ *
+ * The manifest is rewritten atomically after every phase so that other steps
+ * (status, stop, supervise) always see a complete JSON document.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const plan = require('./plan');
+
+const STATE_VERSION = 1;
+
+// In-memory copy of the manifest for the current process
+let current = null;
+
+/**
+ * Get path of the state file
+ */
+function getStatePath() {
+  return config.stateFile;
+}
+
+/**
+ * Load state from disk
+ * @returns {Object|null} State object or null if missing/unreadable
+ */
+function load() {
+  const statePath = getStatePath();
+
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (err) {
+    logger.warn(`Failed to read state file ${statePath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save state to disk atomically (write temp file, then rename)
+ *
+ * A dry run keeps the manifest in memory only, so status/stop never see a session
+ * that was not started.
+ *
+ * @returns {string} Path of the state file
+ */
+function save(data) {
+  const statePath = getStatePath();
+
+  if (plan.isActive()) {
+    current = data;
+    return statePath;
+  }
+  const tmpPath = `${statePath}.tmp-${process.pid}`;
+
+  utils.ensureDir(path.dirname(statePath));
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmpPath, statePath);
+
+  current = data;
+  return statePath;
+}
+
+/**
+ * Start a new manifest for this run, replacing any previous one
+ */
+function init() {
+  const now = new Date().toISOString();
+
+  return save({
+    version: STATE_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    phase: 'init',
+    ownerPid: process.pid,
+    user: os.userInfo().username,
+    platform: `${os.platform()}-${os.arch()}`,
+    ssh: null,
+    tunnels: [],
+    persistence: null,
+  });
+}
+
+/**
+ * Merge fields into the manifest on disk and write it
+ *
+ * Nothing is written once the state file is gone: the session was ended by
+ * `setup-ssh stop`, and a write from a slower process (e.g. the supervisor
+ * after a restart) must not bring it back.
+ *
+ * @param {Object} patch - Top-level fields to replace
+ * @returns {string|null} Path of the state file, null if the session has ended
+ */
+function update(patch) {
+  const base = plan.isActive() ? current || {} : load();
+
+  if (!base) {
+    logger.debug(`State file ${getStatePath()} is gone, not updating it`);
+    current = null;
+    return null;
+  }
+
+  return save({ ...base, ...patch, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Get manifest of the current process (or from disk)
+ */
+function get() {
+  return current || load();
+}
+
+/**
+ * Remove state file
+ * @returns {boolean} true if a file was removed
+ */
+function clear() {
+  current = null;
+  return utils.removeFile(getStatePath());
+}
+
+module.exports = {
+  STATE_VERSION,
+  getStatePath,
+  load,
+  save,
+  init,
+  update,
+  get,
+  clear,
+};
@@ -0,0 +1,166 @@
+/**
+ * status.js - Live health of sshd and tunnels from the run manifest
+ */
+
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const state = require('./state');
+const { createTunnel, loadExternalProviders, BaseTunnel } = require('./tunnels');
+
+// Port probe timeout, kept short so status returns quickly
+const PORT_PROBE_TIMEOUT = 1500;
+
+/**
+ * Check health of one tunnel recorded in the manifest
+ * (healthy is null when it cannot be told, e.g. for a foreground tunnel of another process)
+ */
+async function checkTunnel(record, logLines) {
+  const report = {
+    tunnelType: record.tunnelType,
+    pid: record.pid || null,
+    healthy: false,
+    message: record.error || 'Not started',
+    endpoint: record.endpoint || null,
+    connectCommand: record.connectCommand || null,
+    uptimeMs: record.startedAt ? Date.now() - Date.parse(record.startedAt) : null,
+    logFile: record.logFile || null,
+    logTail: utils.tailFile(record.logFile, logLines),
+  };
+
+  if (!record.success) {
+    return report;
+  }
+
+  const tunnel = createTunnel(record.provider || record.tunnelType, config, utils, hostrunner);
+  if (!tunnel) {
+    report.message = 'Unknown tunnel type';
+    return report;
+  }
+
+  tunnel.restore(record);
+
+  // Without a pid the default process check has nothing to look at, only providers
+  // with their own health check (e.g. Tailscale) can tell
+  if (!record.pid && tunnel.healthCheck === BaseTunnel.prototype.healthCheck) {
+    report.healthy = null;
+    report.message = record.foreground ? 'Unknown (foreground process of the job)' : 'Unknown (no pid recorded)';
+  } else {
+    const health = await tunnel.healthCheck();
+    report.healthy = health.healthy;
+    report.message = health.message;
+  }
+
+  const endpoint = tunnel.readEndpointFromLog();
+  if (endpoint && endpoint !== record.endpoint) {
+    report.endpoint = endpoint;
+    report.connectCommand = (await tunnel.getConnectCommand()) || report.connectCommand;
+  }
+
+  return report;
+}
+
+/**
+ * Collect status of the current session
+ * @param {Object} options - { logLines: number of log lines per component }
+ * @returns {Promise<Object>} Status report
+ */
+async function getStatus(options = {}) {
+  const { logLines = 3 } = options;
+  const session = state.load();
+
+  if (!session) {
+    return { active: false, healthy: false, statePath: state.getStatePath(), ssh: null, tunnels: [] };
+  }
+
+  loadExternalProviders(config);
+
+  const ssh = session.ssh || {};
+  const sshReport = {
+    mode: ssh.mode || null,
+    port: ssh.port || null,
+    pid: ssh.pid || null,
+    running: ssh.pid ? utils.isProcessAlive(ssh.pid) : null,
+    listening: ssh.port ? await utils.waitPortLocalhost(ssh.port, PORT_PROBE_TIMEOUT) : false,
+    logFile: ssh.logPath || null,
+    logTail: utils.tailFile(ssh.logPath, logLines),
+  };
+  sshReport.healthy = sshReport.listening && sshReport.running !== false;
+
+  const records = session.tunnels || [];
+  const tunnels = [];
+  for (const record of records) {
+    tunnels.push(await checkTunnel(record, logLines));
+  }
+
+  // Tunnels that failed to start were reported by the run, unknown health does not count as down
+  const tunnelsHealthy = tunnels.every((t, i) => t.healthy !== false || !records[i].success);
+
+  return {
+    active: true,
+    healthy: sshReport.healthy && tunnelsHealthy,
+    statePath: state.getStatePath(),
+    phase: session.phase,
+    createdAt: session.createdAt,
+    uptimeMs: session.createdAt ? Date.now() - Date.parse(session.createdAt) : null,
+    ssh: sshReport,
+    tunnels,
+  };
+}
+
+/**
+ * Print status report as a table
+ */
+function printStatus(report) {
+  logger.section('Session Status');
+
+  if (!report.active) {
+    console.log(`ℹ️  No active session (state file: ${report.statePath})`);
+    console.log('');
+    return;
+  }
+
+  console.log(`Session uptime: ${utils.formatDuration(report.uptimeMs || 0)} (phase: ${report.phase})`);
+  console.log(`State file: ${report.statePath}\n`);
+
+  const { ssh } = report;
+  const rows = [
+    {
+      name: 'sshd',
+      status: ssh.healthy ? '✅ up' : '❌ down',
+      pid: ssh.pid || '-',
+      uptime: utils.formatDuration(report.uptimeMs || 0),
+      endpoint: `127.0.0.1:${ssh.port}`,
+    },
+    ...report.tunnels.map(t => ({
+      name: t.tunnelType,
+      status: t.healthy ? '✅ up' : t.healthy === null ? `❔ ${t.message}` : `❌ ${t.message}`,
+      pid: t.pid || '-',
+      uptime: t.uptimeMs !== null ? utils.formatDuration(t.uptimeMs) : '-',
+      endpoint: t.endpoint || t.connectCommand || '-',
+    })),
+  ];
+
+  const columns = ['name', 'status', 'pid', 'uptime', 'endpoint'];
+  const widths = columns.map(col => Math.max(col.length, ...rows.map(r => String(r[col]).length)));
+  const formatRow = row => columns.map((col, i) => String(row[col]).padEnd(widths[i])).join('  ');
+
+  console.log(formatRow(Object.fromEntries(columns.map(c => [c, c.toUpperCase()]))));
+  console.log(widths.map(w => '─'.repeat(w)).join('  '));
+  rows.forEach(row => console.log(formatRow(row)));
+
+  const logs = [{ name: 'sshd', ...ssh }, ...report.tunnels.map(t => ({ name: t.tunnelType, ...t }))];
+  for (const { name, logFile, logTail } of logs) {
+    if (!logTail || logTail.length === 0) continue;
+    console.log(`\n📄 ${name} (${logFile}):`);
+    logTail.forEach(line => console.log(`   ${line}`));
+  }
+
+  console.log('');
+}
+
+module.exports = {
+  getStatus,
+  printStatus,
+};
@@ -0,0 +1,159 @@
+/**
+ * summary.js - Markdown job summary for the run page of the CI platform
+ *
+ * Rendered from the result document (lib/output.js) so people joining a debug
+ * session find tunnels, connect commands, host key fingerprints and an
+ * ssh_config snippet on the run page.
+ */
+
+const hostrunner = require('./hostrunner');
+const logger = require('./logger');
+const plan = require('./plan');
+const BasePlatform = require('./platforms/base');
+
+const STATUS_ICONS = { running: '✅', foreground: '✅', planned: '📝', failed: '❌' };
+
+/**
+ * Escape a table cell
+ */
+function cell(value) {
+  return String(value ?? '-').replace(/\|/g, '\\|');
+}
+
+/**
+ * ssh_config Host block equivalent to an ssh connect command
+ * @param {string} alias - Host alias, e.g. 'ci-pinggy'
+ * @param {string} command - e.g. 'ssh -p 443 runner@a.pinggy.link -i <your-private-key>'
+ * @returns {string|null} Host block, null if the command is not a plain ssh invocation
+ */
+function toSshConfig(alias, command) {
+  // Words, keeping quoted parts (ProxyCommand="cloudflared access tcp ...") together
+  const tokens = String(command || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  if (tokens.shift() !== 'ssh') return null;
+
+  const unquote = value => String(value || '').replace(/"/g, '');
+  const options = [];
+  let destination = null;
+
+  while (tokens.length > 0) {
+    const token = tokens.shift();
+
+    if (token === '-p') options.push(['Port', unquote(tokens.shift())]);
+    else if (token === '-J') options.push(['ProxyJump', unquote(tokens.shift())]);
+    else if (token === '-i') options.push(['IdentityFile', unquote(tokens.shift())]);
+    else if (token === '-o') {
+      const [key, ...value] = unquote(tokens.shift()).split('=');
+      options.push([key, value.join('=')]);
+    } else if (!token.startsWith('-')) destination = token;
+  }
+
+  if (!destination) return null;
+
+  const [user, hostName] = destination.includes('@') ? destination.split('@') : [null, destination];
+  const lines = [`Host ${alias}`, `  HostName ${hostName}`];
+  if (user) lines.push(`  User ${user}`);
+  for (const [key, value] of options) lines.push(`  ${key} ${value}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the job summary
+ * @param {Object} report - Result document from output.buildReport()
+ * @returns {string} Markdown
+ */
+function renderSummary(report) {
+  const lines = ['## 🔐 SSH Debug Session', ''];
+
+  if (report.error) {
+    lines.push(`> ❌ **Setup failed:** ${report.error.message}`, '');
+  } else if (report.dryRun) {
+    lines.push('> 📝 Dry run: nothing was started on this runner.', '');
+  }
+
+  const { ssh } = report;
+  let state = ssh.success ? 'is running' : 'is not running';
+  if (ssh.success && report.dryRun) state = 'would run';
+  lines.push(
+    `sshd ${state} in **${ssh.mode || 'unknown'}** mode on \`${ssh.listenAddress}:${ssh.port}\` for user \`${ssh.user}\`.`,
+    ''
+  );
+
+  if (report.sessionEndsAt) {
+    lines.push(`⏱️ The CI job ends at **${report.sessionEndsAt}**, SSH sessions and tunnels end with it.`, '');
+  }
+
+  if (report.tunnels.length > 0) {
+    lines.push('| Tunnel | Status | Endpoint |', '|--------|--------|----------|');
+    for (const tunnel of report.tunnels) {
+      const endpoint = tunnel.endpoint ? `\`${tunnel.endpoint}\`` : cell(tunnel.error);
+      lines.push(
+        `| ${cell(tunnel.tunnelType)} | ${STATUS_ICONS[tunnel.status] || ''} ${tunnel.status} | ${endpoint} |`
+      );
+    }
+    lines.push('');
+  } else {
+    lines.push('No tunnels configured.', '');
+  }
+
+  const connectable = report.tunnels.filter(tunnel => tunnel.connectCommand);
+  if (connectable.length > 0) {
+    lines.push('### Connect', '');
+    for (const tunnel of connectable) {
+      lines.push(`**${tunnel.tunnelType}**`, '', '```bash', tunnel.connectCommand, '```', '');
+    }
+  }
+
+  if (ssh.hostKeys.length > 0) {
+    lines.push('### Host Key Fingerprints', '', '| Type | Fingerprint |', '|------|-------------|');
+    for (const key of ssh.hostKeys) {
+      lines.push(`| ${cell(key.type)} | \`${key.fingerprint}\` |`);
+    }
+    lines.push('');
+  }
+
+  const hosts = connectable
+    .map(tunnel => {
+      const name = String(tunnel.provider || tunnel.tunnelType).toLowerCase();
+      return toSshConfig(`ci-${name.replace(/[^a-z0-9]+/g, '-')}`, tunnel.connectCommand);
+    })
+    .filter(Boolean);
+
+  if (hosts.length > 0) {
+    lines.push('### ssh_config', '', 'Add to `~/.ssh/config`, then connect with `ssh <alias>`:', '', '```');
+    lines.push(hosts.join('\n\n'), '```', '');
+  }
+
+  // Env values that look sensitive and registered secrets never reach the run page
+  return logger.maskMessage(lines.join('\n'));
+}
+
+/**
+ * Publish the job summary through the platform adapter (recorded in a dry run)
+ * @returns {string|null} Where it went, null without CI platform or job summary support
+ */
+function writeJobSummary(report) {
+  const platform = hostrunner.getPlatform();
+  // Adapters without job summary keep the base implementation
+  if (!platform || platform.writeSummary === BasePlatform.prototype.writeSummary) return null;
+
+  const content = renderSummary(report);
+
+  if (plan.isActive()) {
+    plan.record('summary', { platform: platform.name, content });
+    return platform.name;
+  }
+
+  try {
+    return platform.writeSummary(content);
+  } catch (error) {
+    logger.warn(`Could not write the job summary: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  renderSummary,
+  writeJobSummary,
+  toSshConfig,
+};
@@ -0,0 +1,223 @@
+/**
+ * supervisor.js - Keep tunnels alive, restart crashed ones and republish endpoints
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const state = require('./state');
+const persistence = require('./persistence');
+const events = require('./events');
+const { createTunnel, loadExternalProviders } = require('./tunnels');
+const { getDeadline, createWarner } = require('./deadline');
+const { TunnelError } = require('./errors');
+
+/**
+ * Pid file of the supervisor, next to the state file
+ */
+function getPidFile() {
+  return path.join(path.dirname(state.getStatePath()), 'supervisor.pid');
+}
+
+/**
+ * Wrap manifest records the way run() passes tunnel results to persistence
+ */
+function toSettledResults(records) {
+  return records.map(value => ({ status: 'fulfilled', value }));
+}
+
+/**
+ * Restart a dead tunnel with exponential backoff
+ */
+async function restartTunnel(tunnel, record, sshPort) {
+  const logDir = path.dirname(record.logFile);
+
+  await utils.retryWithBackoff(
+    async () => {
+      const result = await tunnel.restart(sshPort, logDir);
+      const health = await tunnel.healthCheck();
+
+      if (!health.healthy) {
+        throw new TunnelError(tunnel.name, `Restart failed: ${health.message}`);
+      }
+
+      return result;
+    },
+    {
+      // With 0 attempts retryWithBackoff() would throw undefined instead of an error
+      maxRetries: Math.max(1, config.supervisor.maxRetries),
+      initialDelay: 2000,
+      maxDelay: config.supervisor.maxBackoff,
+      onRetry: (attempt, max, delay, err) => {
+        logger.warn(`[${tunnel.name}] Restart attempt ${attempt}/${max} failed, retrying in ${delay}ms...`, {
+          error: err.message,
+        });
+      },
+    }
+  );
+
+  record.pid = tunnel.pid;
+  record.startedAt = new Date().toISOString();
+  record.restarts = (record.restarts || 0) + 1;
+  logger.success(`[${tunnel.name}] Restarted (PID: ${tunnel.pid})`);
+}
+
+/**
+ * Publish a changed endpoint to state, pipeline variables and persistence
+ * @returns {Promise<boolean>} false if the session ended meanwhile and nothing was published
+ */
+async function publishEndpoint(tunnel, record, records) {
+  // A restart takes a while, `setup-ssh stop` may have ended the session since the tick started
+  if (!state.load()) {
+    return false;
+  }
+
+  logger.info(`[${tunnel.name}] Endpoint changed: ${record.endpoint || 'none'} → ${tunnel.endpoint}`);
+
+  record.endpoint = tunnel.endpoint;
+  record.connectCommand = (await tunnel.getConnectCommand()) || record.connectCommand;
+
+  const { tunnelType, provider, endpoint, connectCommand } = record;
+  events.emit('tunnel:endpoint', { tunnelType, provider, endpoint, connectCommand });
+
+  for (const [name, value] of Object.entries(await tunnel.getPipelineVars())) {
+    hostrunner.setPipelineVar(name, value);
+  }
+
+  try {
+    const session = state.load();
+    const sessionEndsAt = (session && session.sessionEndsAt) || null;
+    const result = await persistence.persist(toSettledResults(records), { sessionEndsAt });
+    state.update({ persistence: result });
+  } catch (err) {
+    logger.error('Persistence failed:', { error: err.message });
+  }
+
+  return true;
+}
+
+/**
+ * Check all supervised tunnels once
+ * @returns {Promise<boolean>} true if the manifest changed
+ */
+async function tick(entries, records, sshPort) {
+  let changed = false;
+
+  for (const { tunnel, record } of entries) {
+    const health = await tunnel.healthCheck();
+
+    if (!health.healthy) {
+      logger.warn(`[${tunnel.name}] ${health.message} (PID: ${tunnel.pid || record.pid}), restarting...`);
+
+      try {
+        await restartTunnel(tunnel, record, sshPort);
+        changed = true;
+      } catch (err) {
+        logger.error(`[${tunnel.name}] Giving up until next check: ${err.message}`);
+        events.emit('tunnel:error', { tunnelType: record.tunnelType, provider: record.provider, error: err });
+        continue;
+      }
+    }
+
+    tunnel.readEndpointFromLog();
+
+    if (tunnel.endpoint && tunnel.endpoint !== record.endpoint) {
+      if (!(await publishEndpoint(tunnel, record, records))) break;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Supervise tunnels of the current session until stopped
+ *
+ * Stops on SIGINT/SIGTERM or when the state file disappears (e.g. after
+ * `setup-ssh stop`).
+ *
+ * @param {Object} options - { interval: check interval in ms }
+ * @returns {Promise<void>}
+ */
+async function supervise(options = {}) {
+  const interval = options.interval || config.supervisor.interval;
+  const session = state.load();
+
+  if (!session) {
+    throw new TunnelError('Supervisor', `No session found (state file: ${state.getStatePath()})`);
+  }
+
+  loadExternalProviders(config);
+
+  const sshPort = session.ssh && session.ssh.port;
+  const records = session.tunnels || [];
+  const entries = [];
+
+  for (const record of records) {
+    if (!record.success || !record.pid || !record.logFile) continue;
+
+    const tunnel = createTunnel(record.provider || record.tunnelType, config, utils, hostrunner);
+    if (tunnel) {
+      entries.push({ tunnel: tunnel.restore(record), record });
+    }
+  }
+
+  if (entries.length === 0) {
+    logger.warn('No background tunnels to supervise');
+    return;
+  }
+
+  logger.section('Supervising Tunnels');
+  logger.info(`Watching ${entries.map(e => e.tunnel.name).join(', ')} every ${interval}ms`);
+
+  // Teardown trusts supervisorPid only while this file names it (library callers have any command line)
+  const pidFile = getPidFile();
+  utils.writePidFile(pidFile, process.pid);
+  state.update({ supervisorPid: process.pid, supervisorPidFile: pidFile });
+
+  // Restarts cannot outlive the job, tell whoever is connected before it ends
+  const warnDeadline = createWarner(getDeadline(session));
+
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    while (!stopped) {
+      if (!state.load()) {
+        logger.info('State file removed, stopping supervisor');
+        break;
+      }
+
+      warnDeadline();
+
+      if (await tick(entries, records, sshPort)) {
+        state.update({ tunnels: records });
+      }
+
+      const until = Date.now() + interval;
+      while (!stopped && Date.now() < until) {
+        await utils.sleep(Math.min(500, interval));
+      }
+    }
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+
+    utils.removeFile(pidFile);
+    if (state.load()) {
+      state.update({ supervisorPid: null, supervisorPidFile: null });
+    }
+  }
+
+  logger.info('Supervisor stopped');
+}
+
+module.exports = {
+  supervise,
+};
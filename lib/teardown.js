@@ -0,0 +1,236 @@
+/**
+ * teardown.js - Undo everything a setup run started
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const hostrunner = require('./hostrunner');
+const plan = require('./plan');
+const state = require('./state');
+const SetupSSH = require('./setup-ssh');
+const { createTunnel, loadExternalProviders } = require('./tunnels');
+
+// Pid files written by setup-ssh and tunnels, used when no state file exists
+const PID_FILES = {
+  'sshd.pid': 'sshd',
+  'pinggy.pid': 'Pinggy',
+  'sshj.pid': 'SSH-J',
+  'cloudflared.pid': 'Cloudflare',
+  'reverse-ssh.pid': 'Reverse-SSH',
+  'supervisor.pid': 'supervisor',
+};
+
+/**
+ * Read pid from pid file
+ */
+function readPidFile(pidFile) {
+  try {
+    const pid = parseInt(fs.readFileSync(pidFile, 'utf8').trim(), 10);
+    return isNaN(pid) ? null : pid;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Build a session from pid files when the state file is missing
+ */
+function discoverFromPidFiles() {
+  const dirs = [path.join(os.homedir(), '.ssh', 'ci-sshd'), path.join(os.homedir(), '.ssh')];
+  const session = { ssh: null, tunnels: [] };
+
+  for (const dir of dirs) {
+    for (const [file, type] of Object.entries(PID_FILES)) {
+      const pidFile = path.join(dir, file);
+      const pid = readPidFile(pidFile);
+      if (!pid) continue;
+
+      if (type === 'sshd') {
+        session.ssh = { mode: 'user', pid, pidFile };
+      } else if (type === 'supervisor') {
+        session.supervisorPid = pid;
+        session.supervisorPidFile = pidFile;
+      } else {
+        session.tunnels.push({ tunnelType: type, pid, pidFile });
+      }
+    }
+  }
+
+  return session;
+}
+
+/**
+ * Check that a recorded pid still belongs to the program we started, not to a
+ * process that reused the pid after ours exited
+ * @returns {boolean} true if the command line contains `command` (or cannot be read on this OS)
+ */
+function isOwnProcess(pid, command) {
+  if (!fs.existsSync('/proc')) return true;
+
+  try {
+    return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').replace(/\0/g, ' ').includes(command);
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Stop a process recorded in the session and remove its pid file
+ * @param {Function} isOwn - Tells whether the live pid is still ours, see isOwnProcess()
+ */
+async function stopProcess(label, pid, pidFile, isOwn = () => true) {
+  const alive = utils.isProcessAlive(pid);
+  const reused = alive && !isOwn(pid);
+  const wasRunning = alive && !reused;
+  const stopped = wasRunning ? await utils.killProcess(pid) : true;
+
+  utils.removeFile(pidFile);
+
+  if (reused) {
+    logger.warn(`${label} (PID: ${pid}) is now another program, not stopped`);
+  } else if (!wasRunning) {
+    logger.debug(`${label} (PID: ${pid}) was not running`);
+  } else if (stopped) {
+    logger.success(`Stopped ${label} (PID: ${pid})`);
+  } else {
+    logger.warn(`Failed to stop ${label} (PID: ${pid})`);
+  }
+
+  return { pid, wasRunning, stopped, reused: Boolean(reused) };
+}
+
+/**
+ * Stop a tunnel through its provider, falling back to killing its pid
+ */
+async function stopTunnel(record) {
+  const tunnel = createTunnel(record.provider || record.tunnelType, config, utils, hostrunner);
+
+  if (!tunnel) {
+    return stopProcess(`${record.tunnelType} tunnel`, record.pid, record.pidFile);
+  }
+
+  tunnel.restore(record);
+
+  const alive = record.pid ? utils.isProcessAlive(record.pid) : true;
+  const reused = Boolean(record.pid && alive && tunnel.command && !isOwnProcess(record.pid, tunnel.command));
+  const wasRunning = alive && !reused;
+  const stopped = wasRunning ? await tunnel.stop() : true;
+
+  utils.removeFile(record.pidFile);
+
+  if (reused) {
+    logger.warn(`${record.tunnelType} tunnel (PID: ${record.pid}) is now another program, not stopped`);
+  } else if (wasRunning && !stopped) {
+    logger.warn(`Failed to stop ${record.tunnelType} tunnel`);
+  }
+
+  // Tunnels and DNS routes on the provider side are ours even if the pid was reused
+  const cleanedUp = await tunnel.cleanup();
+
+  return { pid: record.pid || null, wasRunning, stopped, reused, cleanedUp };
+}
+
+/**
+ * Stop sshd and tunnels, restore sshd_config and remove added keys
+ * @returns {Promise<Object>} Report of what was cleaned up
+ */
+async function teardown() {
+  logger.section('Teardown');
+
+  // Dry run: kills, file changes and provider calls are recorded instead (see lib/plan.js)
+  const ownPlan = config.dryRun && !plan.isActive();
+  if (ownPlan) {
+    plan.start();
+  }
+
+  let report = null;
+  try {
+    report = await undo();
+  } finally {
+    if (ownPlan) {
+      const steps = plan.stop();
+      plan.print(steps);
+      if (report) report.plan = steps;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Teardown steps, see teardown()
+ */
+async function undo() {
+  const saved = state.load();
+  const session = saved || discoverFromPidFiles();
+
+  if (saved) {
+    logger.info(`Loaded session from: ${state.getStatePath()}`);
+  } else {
+    logger.info('No state file found, falling back to pid files');
+  }
+
+  const report = {
+    supervisor: null,
+    sshd: null,
+    tunnels: [],
+    sshdConfigRestored: false,
+    authorizedKeysRemoved: 0,
+    stateCleared: false,
+  };
+
+  // Supervisor first, otherwise it restarts the tunnels we stop below
+  // The supervisor keeps its pid file while it runs, a pid not named there is no longer ours
+  if (session.supervisorPid && session.supervisorPid !== process.pid) {
+    const pidFile = session.supervisorPidFile || null;
+    const isOwn = pid => Boolean(pidFile) && readPidFile(pidFile) === pid;
+    report.supervisor = await stopProcess('supervisor', session.supervisorPid, pidFile, isOwn);
+  }
+
+  // Tunnels next so they do not reconnect to a dying sshd
+  loadExternalProviders(config);
+
+  for (const record of session.tunnels || []) {
+    // Failed or foreground tunnels left nothing behind
+    if ((!record.pid && !record.success) || record.foreground) continue;
+
+    const result = await stopTunnel(record);
+    report.tunnels.push({ tunnelType: record.tunnelType, ...result });
+  }
+
+  const ssh = session.ssh || {};
+  const setupSSH = new SetupSSH();
+
+  if (ssh.pid) {
+    const pidFile = ssh.pidFile || (ssh.baseDir ? path.join(ssh.baseDir, 'sshd.pid') : null);
+    report.sshd = await stopProcess('sshd', ssh.pid, pidFile, pid => isOwnProcess(pid, 'sshd'));
+  }
+
+  if (ssh.backupPath) {
+    report.sshdConfigRestored = setupSSH.restoreRootConfig(ssh.backupPath);
+    if (report.sshdConfigRestored) {
+      logger.success('System sshd_config restored');
+    }
+  }
+
+  report.authorizedKeysRemoved = setupSSH.removeAuthorizedKeys();
+  if (report.authorizedKeysRemoved > 0) {
+    logger.success(`Removed ${report.authorizedKeysRemoved} authorized key(s)`);
+  }
+
+  report.stateCleared = state.clear();
+
+  const stoppedCount = report.tunnels.filter(t => t.wasRunning && t.stopped).length;
+  logger.success(`Teardown complete (${stoppedCount} tunnel(s) stopped)`);
+
+  return report;
+}
+
+module.exports = {
+  teardown,
+  discoverFromPidFiles,
+};
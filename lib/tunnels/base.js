@@ -14,8 +14,24 @@ class BaseTunnel {
     this.utils = utils;
     this.name = 'BaseTunnel';
     this.pid = null;
+    // Program of the tunnel process, checked before teardown stops a recorded pid
+    this.command = null;
     this.endpoint = null;
     this.logFile = null;
+    this.endpointPattern = null;
+    this.logOffset = 0;
+  }
+
+  /**
+   * Rehydrate tunnel from a run manifest record (see lib/state.js)
+   * @param {Object} record - Tunnel entry with pid, logFile, endpoint
+   * @returns {BaseTunnel} this
+   */
+  restore(record = {}) {
+    this.pid = record.pid || null;
+    this.logFile = record.logFile || null;
+    this.endpoint = record.endpoint || null;
+    return this;
   }
 
   /**
@@ -39,6 +55,7 @@ class BaseTunnel {
    * @param {number} _sshPort - SSH server port to tunnel
    * @param {string} _logDir - Directory for log files
    * @returns {Promise<Object>} Result object with success, pid, endpoint, etc.
+   *   (foreground mode: { started, foreground: true, exited: Promise<exit code> })
    */
   async start(_sshPort, _logDir) {
     throw new Error(`${this.name}: start() not implemented`);
@@ -87,15 +104,56 @@ class BaseTunnel {
       return false;
     }
 
-    try {
-      process.kill(this.pid, 'SIGTERM');
+    const stopped = await this.utils.killProcess(this.pid);
+
+    if (stopped) {
       logger.info(`${this.name} stopped (PID: ${this.pid})`);
       this.pid = null;
-      return true;
-    } catch (err) {
-      logger.warn(`Failed to stop ${this.name}: ${err.message}`);
-      return false;
+    } else {
+      logger.warn(`Failed to stop ${this.name} (PID: ${this.pid})`);
     }
+
+    return stopped;
+  }
+
+  /**
+   * Remove remote resources created by start() (e.g. a named tunnel), called on teardown
+   * @returns {Promise<boolean>} true if something was removed
+   */
+  async cleanup() {
+    return false;
+  }
+
+  /**
+   * Restart tunnel, only log output written after the restart is parsed
+   * @param {number} sshPort - SSH server port to tunnel
+   * @param {string} logDir - Directory for log files
+   * @returns {Promise<Object>} Result of start()
+   */
+  async restart(sshPort, logDir) {
+    const fs = require('fs');
+
+    if (this.pid && this.utils.isProcessAlive(this.pid)) {
+      await this.utils.killProcess(this.pid);
+    }
+
+    try {
+      this.logOffset = this.logFile ? fs.statSync(this.logFile).size : 0;
+    } catch (_err) {
+      this.logOffset = 0;
+    }
+
+    this.pid = null;
+    this.endpoint = null;
+    return this.start(sshPort, logDir);
+  }
+
+  /**
+   * Pipeline variables describing the current endpoint
+   * @returns {Object} Map of variable name to value
+   */
+  async getPipelineVars() {
+    return {};
   }
 
   /**
@@ -109,16 +167,22 @@ class BaseTunnel {
       throw new TunnelError(this.name, 'No log file configured');
     }
 
+    // Nothing was started in a dry run, show where the endpoint would appear
+    if (this.utils.isDryRun()) {
+      return `<${this.name} endpoint>`;
+    }
+
     const fs = require('fs');
     const start = Date.now();
 
     while (Date.now() - start < timeoutMs) {
       try {
         if (fs.existsSync(this.logFile)) {
-          const content = fs.readFileSync(this.logFile, 'utf8');
+          // Skip output from previous runs of this tunnel (see restart())
+          const content = fs.readFileSync(this.logFile).subarray(this.logOffset).toString('utf8');
           const match = content.match(pattern);
           if (match) {
-            return match[0];
+            return this.normalizeEndpoint(match[0]);
           }
         }
       } catch (err) {
@@ -131,6 +195,42 @@ class BaseTunnel {
     return null;
   }
 
+  /**
+   * Turn text matched by the endpoint pattern into the endpoint
+   * @param {string} text - Matched log text
+   * @returns {string}
+   */
+  normalizeEndpoint(text) {
+    return text;
+  }
+
+  /**
+   * Re-read current endpoint from log file without waiting (last match wins)
+   * @returns {string|null}
+   */
+  readEndpointFromLog() {
+    if (!this.endpointPattern || !this.logFile) {
+      return this.endpoint;
+    }
+
+    const fs = require('fs');
+
+    try {
+      const content = fs.readFileSync(this.logFile, 'utf8');
+      const flags = this.endpointPattern.flags.includes('g')
+        ? this.endpointPattern.flags
+        : this.endpointPattern.flags + 'g';
+      const matches = content.match(new RegExp(this.endpointPattern.source, flags));
+      if (matches) {
+        this.endpoint = this.normalizeEndpoint(matches[matches.length - 1]);
+      }
+    } catch (err) {
+      logger.debug(`Error reading log file: ${err.message}`);
+    }
+
+    return this.endpoint;
+  }
+
   /**
    * Build log messages for user
    */
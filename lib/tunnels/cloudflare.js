@@ -6,17 +6,97 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const BaseTunnel = require('./base');
+const registry = require('./registry');
+const plan = require('../plan');
 const { TunnelError } = require('../errors');
 
+// DNS records are managed through the API, cloudflared can create but not delete them
+const CLOUDFLARE_API = 'https://api.cloudflare.com/client/v4';
+
+// Length of the runner ID part of generated tunnel names
+const RUNNER_ID_LENGTH = 10;
+
+// Hostname printed by cloudflared for a quick tunnel (api.trycloudflare.com appears in errors)
+const QUICK_TUNNEL_PATTERN = /https:\/\/(?!api\.)[a-z0-9-]+\.trycloudflare\.com/i;
+
+// Named tunnels print no hostname, the endpoint is the routed hostname once connected
+const NAMED_READY_PATTERN = /Registered tunnel connection/;
+
 class CloudflareTunnel extends BaseTunnel {
   constructor(config, utils, hostrunner) {
     super(config, utils);
     this.name = 'Cloudflare';
+    this.command = 'cloudflared';
     this.hostrunner = hostrunner;
+    this.endpointPattern = this.isQuickMode() ? QUICK_TUNNEL_PATTERN : NAMED_READY_PATTERN;
+    this.tunnelId = null;
+    this.tunnelName = null;
+    this.ephemeral = false;
+    this.routedHostname = null;
+  }
+
+  restore(record = {}) {
+    super.restore(record);
+    this.tunnelId = record.tunnelId || null;
+    this.tunnelName = record.tunnelName || null;
+    this.ephemeral = !!record.ephemeral;
+    this.routedHostname = record.routedHostname || null;
+    return this;
+  }
+
+  /**
+   * Quick tunnels (trycloudflare.com) need no account, used when forced or without API key
+   */
+  isQuickMode() {
+    const { cloudflare } = this.config.tunnels;
+    return cloudflare.quick || !cloudflare.apiKey;
   }
 
   async isAvailable() {
-    return this.config.tunnels.cloudflare.enabled && !!this.config.tunnels.cloudflare.apiKey;
+    return this.config.tunnels.cloudflare.enabled;
+  }
+
+  normalizeEndpoint(text) {
+    // Quick tunnel hostname is used directly by `cloudflared access tcp` and ssh
+    return this.isQuickMode() ? text.replace(/^https:\/\//i, '') : this.getRouteHostname();
+  }
+
+  /**
+   * Hostname routed to the named tunnel: CLOUDFLARED_HOSTNAME, or <tunnel-name>.<CLOUDFLARED_ZONE>
+   * @returns {string|null}
+   */
+  getRouteHostname() {
+    const { hostname, zone } = this.config.tunnels.cloudflare;
+    if (hostname) return hostname;
+    if (zone && this.tunnelName) return `${this.tunnelName.replace(/[^a-z0-9-]/g, '-')}.${zone}`;
+    return null;
+  }
+
+  /**
+   * Prefix of tunnel names generated by this tool for the current repository
+   */
+  getNamePrefix() {
+    return `${this.utils.sanitizeId(this.hostrunner.getRepoName(), 18)}-`;
+  }
+
+  /**
+   * Generated tunnel name: <repo>-<runner-id>, or <repo>-kept-<runner-id> with CLOUDFLARED_KEEP_TUNNEL
+   *
+   * The runner ID part has no '-', so the name of one repository never matches
+   * the prune pattern of another one sharing its prefix (foo- vs foo-bar-).
+   */
+  generateTunnelName() {
+    const rid = this.utils.sanitizeId(this.hostrunner.getRunnerId(), RUNNER_ID_LENGTH).replace(/[.-]/g, '') || 'ci';
+    const kept = this.config.tunnels.cloudflare.keepTunnel ? 'kept-' : '';
+    return `${this.getNamePrefix()}${kept}${rid}`;
+  }
+
+  /**
+   * Whether a tunnel name was generated for a run that deletes its tunnel on stop
+   */
+  isPrunableName(name, prefix = this.getNamePrefix()) {
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped}\\w{1,${RUNNER_ID_LENGTH}}$`).test(name);
   }
 
   async install() {
@@ -59,115 +139,242 @@ class CloudflareTunnel extends BaseTunnel {
     }
 
     const { cloudflare } = this.config.tunnels;
-    const apiKey = cloudflare.apiKey;
     const foreground = cloudflare.foreground;
     const targetHost = cloudflare.targetHost || 'localhost';
     const targetPort = cloudflare.targetPort || sshPort;
 
-    // Generate tunnel name if not provided
-    let tunnelName = cloudflare.tunnelName;
-    if (!tunnelName) {
-      const repo = this.utils.sanitizeId(this.hostrunner.getRepoName(), 18);
-      const rid = this.utils.sanitizeId(this.hostrunner.getRunnerId(), 10);
-      tunnelName = `${repo}-${rid}`;
-    }
-
     this.logFile = path.join(logDir, 'cloudflared.log');
     const pidFile = path.join(logDir, 'cloudflared.pid');
 
-    const cfDir = path.join(os.homedir(), '.cloudflared');
-    this.utils.ensureDir(cfDir);
-
-    const cfConfigPath = path.join(cfDir, 'config.yml');
-    const certPath = path.join(cfDir, 'cert.pem');
-
-    // Write service token as cert
-    if (!fs.existsSync(certPath)) {
-      this.logInfo('Setting up authentication...');
-      fs.writeFileSync(certPath, apiKey, { encoding: 'utf8', mode: 0o600 });
-    }
+    let args;
 
-    // Check if tunnel exists
-    this.logInfo(`Checking tunnel: ${tunnelName}`);
-    let tunnelId = await this.findTunnelId(tunnelName);
-
-    // Create tunnel if doesn't exist
-    if (!tunnelId) {
-      this.logInfo(`Creating tunnel: ${tunnelName}`);
-      tunnelId = await this.createTunnel(tunnelName);
-      if (!tunnelId) {
-        throw new TunnelError(this.name, 'Failed to create tunnel');
-      }
+    if (this.isQuickMode()) {
+      this.logInfo('Using quick tunnel (trycloudflare.com, no account required)');
+      args = ['tunnel', '--no-autoupdate', '--url', `tcp://${targetHost}:${targetPort}`];
+    } else {
+      args = await this.prepareNamedTunnel(targetHost, targetPort);
     }
 
-    this.logSuccess(`Tunnel ID: ${tunnelId}`);
-
-    // Create config.yml
-    const template = this.config.templates.cloudflaredConfig || this.config.getDefaultCloudflaredTemplate();
-    const cfConfig = this.config.renderTemplate(template, {
-      TUNNEL_ID: tunnelId,
-      TARGET_HOST: targetHost,
-      TARGET_PORT: targetPort,
-    });
-
-    this.utils.writeFileSafe(cfConfigPath, cfConfig + '\n', 0o600);
-    this.logInfo(`Config written: ${cfConfigPath}`);
-
     // Start tunnel
     this.logInfo('Starting tunnel...');
 
-    const args = ['tunnel', '--config', cfConfigPath, 'run', '--token', apiKey];
-
     if (foreground) {
-      const { spawn } = require('child_process');
-      const child = spawn('cloudflared', args, { stdio: 'inherit' });
-      child.on('exit', code => process.exit(code ?? 0));
-      return { started: true, foreground: true };
+      const exited = this.utils.spawnForeground('cloudflared', args);
+      return { started: true, foreground: true, exited };
     }
 
     this.pid = this.utils.spawnDetached('cloudflared', args, this.logFile);
-    fs.writeFileSync(pidFile, String(this.pid), 'utf8');
+    this.utils.writePidFile(pidFile, this.pid);
 
     this.logSuccess(`Started in background (PID: ${this.pid})`);
     this.logInfo(`Log file: ${this.logFile}`);
 
     // Parse endpoint from log
-    this.endpoint = await this.parseEndpointFromLog(
-      /https:\/\/[a-f0-9-]+\.cfargotunnel\.com/i,
-      this.config.timeouts.cfEndpoint
-    );
+    this.endpoint = await this.parseEndpointFromLog(this.endpointPattern, this.config.timeouts.cfEndpoint);
 
     if (this.endpoint) {
       this.logSuccess(`Endpoint: ${this.endpoint}`);
 
       // Set pipeline variables
-      this.hostrunner.setPipelineVar('CF_TUNNEL_URL', this.endpoint);
-      
+      for (const [name, value] of Object.entries(await this.getPipelineVars())) {
+        this.hostrunner.setPipelineVar(name, value);
+      }
+
       const connectCmd = await this.getConnectCommand();
       if (connectCmd) {
-        this.hostrunner.setPipelineVar('CF_SSH_COMMAND', connectCmd);
         this.logInfo('Connect command:');
         this.logInfo(`  ${connectCmd}`);
       }
-    } else {
+    } else if (this.isQuickMode() || this.getRouteHostname()) {
       this.logWarn('Endpoint not detected yet. Check cloudflared.log');
+    } else {
+      this.logWarn('No hostname routed to the tunnel, set CLOUDFLARED_HOSTNAME or CLOUDFLARED_ZONE to connect');
     }
 
     return {
       started: true,
       foreground: false,
       pid: this.pid,
-      tunnelId,
+      tunnelId: this.tunnelId,
+      tunnelName: this.tunnelName,
+      ephemeral: this.ephemeral,
+      routedHostname: this.routedHostname,
       endpoint: this.endpoint,
       logFile: this.logFile,
+      pidFile,
     };
   }
 
+  /**
+   * Write API key as origin cert used by tunnel management commands
+   */
+  ensureCredentials() {
+    const cfDir = path.join(os.homedir(), '.cloudflared');
+    this.utils.ensureDir(cfDir);
+
+    const certPath = path.join(cfDir, 'cert.pem');
+    if (!fs.existsSync(certPath)) {
+      this.logInfo('Setting up authentication...');
+      this.utils.writeFileSafe(certPath, this.config.tunnels.cloudflare.apiKey, 0o600);
+    }
+
+    return cfDir;
+  }
+
+  /**
+   * Create or reuse a named tunnel, route its hostname and write its config.yml
+   * @returns {Promise<string[]>} Arguments for `cloudflared tunnel run`
+   */
+  async prepareNamedTunnel(targetHost, targetPort) {
+    const { cloudflare } = this.config.tunnels;
+
+    // Generate tunnel name if not provided
+    this.tunnelName = cloudflare.tunnelName || this.generateTunnelName();
+
+    const cfDir = this.ensureCredentials();
+    const cfConfigPath = path.join(cfDir, 'config.yml');
+
+    // Check if tunnel exists
+    this.logInfo(`Checking tunnel: ${this.tunnelName}`);
+    this.tunnelId = await this.findTunnelId(this.tunnelName);
+
+    // Create tunnel if doesn't exist, only tunnels created here are deleted on teardown
+    if (!this.tunnelId) {
+      this.logInfo(`Creating tunnel: ${this.tunnelName}`);
+      this.tunnelId = await this.createTunnel(this.tunnelName);
+      if (!this.tunnelId) {
+        throw new TunnelError(this.name, 'Failed to create tunnel');
+      }
+      this.ephemeral = !cloudflare.keepTunnel;
+    }
+
+    this.logSuccess(`Tunnel ID: ${this.tunnelId}`);
+
+    const hostname = this.getRouteHostname();
+    if (hostname) {
+      this.routeDns(hostname);
+    }
+
+    // Create config.yml
+    const template = this.config.templates.cloudflaredConfig || this.config.getDefaultCloudflaredTemplate();
+    const cfConfig = this.config.renderTemplate(template, {
+      TUNNEL_ID: this.tunnelId,
+      TARGET_HOST: targetHost,
+      TARGET_PORT: targetPort,
+    });
+
+    this.utils.writeFileSafe(cfConfigPath, cfConfig + '\n', 0o600);
+    this.logInfo(`Config written: ${cfConfigPath}`);
+
+    return ['tunnel', '--config', cfConfigPath, 'run', '--token', cloudflare.apiKey];
+  }
+
+  /**
+   * Point a DNS record at the tunnel, an existing record is only replaced with CLOUDFLARED_OVERWRITE_DNS
+   */
+  routeDns(hostname) {
+    const { overwriteDns } = this.config.tunnels.cloudflare;
+    this.logInfo(`Routing DNS: ${hostname} → ${this.tunnelName}`);
+
+    try {
+      const overwrite = overwriteDns ? '--overwrite-dns ' : '';
+      this.utils.run(`cloudflared tunnel route dns ${overwrite}${this.tunnelId} ${hostname}`);
+    } catch (err) {
+      const hint = overwriteDns ? '' : ' (set CLOUDFLARED_OVERWRITE_DNS=1 to replace an existing record)';
+      throw new TunnelError(this.name, `Failed to route DNS for ${hostname}: ${err.message}${hint}`);
+    }
+
+    this.routedHostname = hostname;
+  }
+
+  /**
+   * Zone and API token of the origin certificate (CLOUDFLARED_APIKEY, cert.pem)
+   * @returns {Object|null} { zoneID, accountID, apiToken }
+   */
+  readOriginCert() {
+    const pem = String(this.config.tunnels.cloudflare.apiKey || '');
+    const match = pem.match(/-----BEGIN ARGO TUNNEL TOKEN-----([\s\S]+?)-----END ARGO TUNNEL TOKEN-----/);
+    if (!match) return null;
+
+    try {
+      return JSON.parse(Buffer.from(match[1].replace(/\s+/g, ''), 'base64').toString('utf8'));
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  /**
+   * Call the Cloudflare API
+   * @returns {Promise<*>} result of the response
+   */
+  async requestApi(url, token, method = 'GET') {
+    const { controller, clear } = this.utils.withTimeout(this.config.timeouts.httpRequest);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal,
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.success === false) {
+        const reason = (body.errors || []).map(e => e.message).join(', ');
+        throw new Error(reason || `HTTP ${response.status}`);
+      }
+      return body.result;
+    } finally {
+      clear();
+    }
+  }
+
+  /**
+   * Delete the CNAME record of a hostname if it still points to the tunnel
+   * @returns {Promise<boolean>} true if deleted
+   */
+  async deleteRoute(hostname, tunnelId = this.tunnelId) {
+    const cert = this.readOriginCert();
+    if (!cert || !cert.zoneID || !cert.apiToken) {
+      this.logWarn(`No API token in CLOUDFLARED_APIKEY, delete the DNS record ${hostname} in the dashboard`);
+      return false;
+    }
+
+    const records = `${CLOUDFLARE_API}/zones/${cert.zoneID}/dns_records`;
+    const target = `${tunnelId}.cfargotunnel.com`;
+
+    if (plan.isActive()) {
+      plan.record('network', { method: 'DELETE', url: `${records}/<CNAME ${hostname} → ${target}>` });
+      return true;
+    }
+
+    try {
+      const found = await this.requestApi(`${records}?type=CNAME&name=${encodeURIComponent(hostname)}`, cert.apiToken);
+      const record = (found || []).find(r => r.content === target);
+      if (!record) {
+        this.logInfo(`DNS record ${hostname} no longer points to the tunnel, left alone`);
+        return false;
+      }
+
+      await this.requestApi(`${records}/${record.id}`, cert.apiToken, 'DELETE');
+      this.logSuccess(`Deleted DNS record: ${hostname}`);
+      return true;
+    } catch (err) {
+      this.logWarn(`Failed to delete DNS record ${hostname}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * List tunnels of the account
+   * @returns {Object[]} Tunnels with id, name, created_at
+   */
+  listTunnels() {
+    const listOut = this.utils.runCapture('cloudflared tunnel list --output json 2>/dev/null || echo "[]"');
+    return JSON.parse(listOut || '[]');
+  }
+
   async findTunnelId(tunnelName) {
     try {
-      const listOut = this.utils.runCapture('cloudflared tunnel list --output json 2>/dev/null || echo "[]"');
-      const tunnels = JSON.parse(listOut || '[]');
-      const existing = tunnels.find(t => t.name === tunnelName);
+      const existing = this.listTunnels().find(t => t.name === tunnelName);
       return existing ? existing.id : null;
     } catch (err) {
       this.logWarn(`Failed to list tunnels: ${err.message}`);
@@ -176,6 +383,11 @@ class CloudflareTunnel extends BaseTunnel {
   }
 
   async createTunnel(tunnelName) {
+    if (this.utils.isDryRun()) {
+      this.utils.run(`cloudflared tunnel create ${tunnelName}`);
+      return '<tunnel-id>';
+    }
+
     try {
       const createOut = this.utils.runCapture(`cloudflared tunnel create ${tunnelName} 2>&1`);
       
@@ -195,12 +407,124 @@ class CloudflareTunnel extends BaseTunnel {
     }
   }
 
+  /**
+   * Delete a tunnel, cleaning up its stale connections first
+   * @returns {boolean} true if deleted
+   */
+  deleteTunnel(idOrName) {
+    try {
+      this.utils.run(`cloudflared tunnel delete -f ${idOrName}`);
+      this.logSuccess(`Deleted tunnel: ${idOrName}`);
+      return true;
+    } catch (err) {
+      this.logWarn(`Failed to delete tunnel ${idOrName}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the named tunnel created by this run and its DNS record
+   */
+  async cleanup() {
+    if (!this.ephemeral || !this.tunnelId || !this.utils.commandExists('cloudflared')) {
+      return false;
+    }
+
+    if (this.routedHostname) {
+      await this.deleteRoute(this.routedHostname);
+    }
+    return this.deleteTunnel(this.tunnelId);
+  }
+
+  /**
+   * Delete tunnels named <prefix><runner-id> older than maxAgeHours
+   *
+   * Tunnels kept with CLOUDFLARED_KEEP_TUNNEL (<repo>-kept-<runner-id>) and
+   * CLOUDFLARED_TUNNEL_NAME are never pruned. With CLOUDFLARED_ZONE the generated
+   * hostname <name>.<zone> is deleted too.
+   *
+   * @param {Object} options - { maxAgeHours, prefix, exclude: tunnel ids to keep }
+   * @returns {Promise<string[]>} Names of deleted tunnels
+   */
+  async prune(options = {}) {
+    const { cloudflare } = this.config.tunnels;
+
+    if (!cloudflare.apiKey) {
+      this.logInfo('CLOUDFLARED_APIKEY not set, no named tunnels to prune');
+      return [];
+    }
+
+    if (!this.utils.commandExists('cloudflared')) {
+      this.logWarn('cloudflared not installed, skipping prune');
+      return [];
+    }
+
+    const maxAgeHours = options.maxAgeHours ?? cloudflare.pruneAge;
+    const prefix = options.prefix || cloudflare.prunePrefix || this.getNamePrefix();
+    const exclude = options.exclude || [];
+    const cutoff = Date.now() - maxAgeHours * 3600000;
+
+    this.ensureCredentials();
+
+    const stale = this.listTunnels().filter(
+      t =>
+        this.isPrunableName(t.name, prefix) &&
+        t.name !== cloudflare.tunnelName &&
+        !exclude.includes(t.id) &&
+        Date.parse(t.created_at) < cutoff
+    );
+
+    this.logInfo(`Found ${stale.length} tunnel(s) matching '${prefix}<runner-id>' older than ${maxAgeHours}h`);
+
+    const deleted = [];
+    for (const t of stale) {
+      if (cloudflare.zone && !cloudflare.hostname) {
+        await this.deleteRoute(`${t.name.replace(/[^a-z0-9-]/g, '-')}.${cloudflare.zone}`, t.id);
+      }
+      if (this.deleteTunnel(t.id)) deleted.push(t.name);
+    }
+    return deleted;
+  }
+
   async getConnectCommand() {
     if (!this.endpoint) return null;
 
     const currentUser = os.userInfo().username;
     return `ssh -o ProxyCommand="cloudflared access tcp --hostname ${this.endpoint}" ${currentUser}@${this.endpoint}`;
   }
+
+  async getPipelineVars() {
+    if (!this.endpoint) return {};
+
+    const vars = { CF_TUNNEL_URL: this.endpoint };
+    const connectCmd = await this.getConnectCommand();
+    if (connectCmd) {
+      vars.CF_SSH_COMMAND = connectCmd;
+    }
+    return vars;
+  }
 }
 
+registry.register({
+  id: 'cloudflare',
+  displayName: 'Cloudflare',
+  TunnelClass: CloudflareTunnel,
+  envPrefix: 'CLOUDFLARED_',
+  schema: {
+    enabled: { env: 'CF_ENABLE', type: 'boolean', default: false, description: 'Enable Cloudflare tunnel' },
+    foreground: { type: 'boolean', default: false, description: 'Run in foreground' },
+    apiKey: { env: 'CLOUDFLARED_APIKEY', secret: true, description: 'API key for named tunnels (quick tunnel without)' },
+    quick: { type: 'boolean', default: false, description: 'Use a quick tunnel even with API key' },
+    tunnelName: { description: 'Named tunnel (default: <repo>-<runner-id>)' },
+    hostname: { description: 'Hostname routed to the named tunnel' },
+    zone: { description: 'Zone for generated hostname <tunnel-name>.<zone>' },
+    overwriteDns: { type: 'boolean', default: false, description: 'Replace an existing DNS record of the hostname' },
+    keepTunnel: { type: 'boolean', default: false, description: 'Keep created tunnel on stop' },
+    pruneAge: { type: 'number', min: 0, default: 24, description: 'prune: minimum tunnel age (hours)' },
+    prunePrefix: { description: 'prune: prefix of generated tunnel names (default: <repo>-)' },
+    targetHost: { default: 'localhost', description: 'Target host' },
+    targetPort: { type: 'port', description: 'Target port (default: SSH port)' },
+  },
+});
+
 module.exports = CloudflareTunnel;
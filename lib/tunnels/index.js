@@ -0,0 +1,35 @@
+/**
+ * tunnels/index.js - Built-in tunnel providers and provider loading
+ */
+
+const registry = require('./registry');
+const BaseTunnel = require('./base');
+
+// Built-in providers register themselves on require, in startup order
+const PinggyTunnel = require('./pinggy');
+const SshjTunnel = require('./sshj');
+const CloudflareTunnel = require('./cloudflare');
+const TailscaleTunnel = require('./tailscale');
+const ReverseSshTunnel = require('./reverse-ssh');
+
+/**
+ * Load third-party providers listed in config and add their settings to config
+ * @returns {Object[]} Newly registered providers
+ */
+function loadExternalProviders(config) {
+  const loaded = registry.loadExternal(config.tunnelProviders);
+  config.initTunnels();
+  return loaded;
+}
+
+module.exports = {
+  registry,
+  createTunnel: registry.createTunnel,
+  loadExternalProviders,
+  BaseTunnel,
+  PinggyTunnel,
+  SshjTunnel,
+  CloudflareTunnel,
+  TailscaleTunnel,
+  ReverseSshTunnel,
+};
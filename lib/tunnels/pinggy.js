@@ -3,14 +3,16 @@
  */
 
 const path = require('path');
-const fs = require('fs');
 const BaseTunnel = require('./base');
+const registry = require('./registry');
 const { TunnelError } = require('../errors');
 
 class PinggyTunnel extends BaseTunnel {
   constructor(config, utils) {
     super(config, utils);
     this.name = 'Pinggy';
+    this.command = 'ssh';
+    this.endpointPattern = /tcp:\/\/[^\s]+/;
   }
 
   async isAvailable() {
@@ -59,20 +61,18 @@ class PinggyTunnel extends BaseTunnel {
     this.logInfo('Expect endpoint like: tcp://*.pinggy.link:PORT');
 
     if (foreground) {
-      const { spawn } = require('child_process');
-      const child = spawn('ssh', args, { stdio: 'inherit' });
-      child.on('exit', code => process.exit(code ?? 0));
-      return { started: true, foreground: true };
+      const exited = this.utils.spawnForeground('ssh', args);
+      return { started: true, foreground: true, exited };
     }
 
     this.pid = this.utils.spawnDetached('ssh', args, this.logFile);
-    fs.writeFileSync(pidFile, String(this.pid), 'utf8');
+    this.utils.writePidFile(pidFile, this.pid);
 
     this.logSuccess(`Started in background (PID: ${this.pid})`);
     this.logInfo(`Log file: ${this.logFile}`);
 
     // Parse endpoint from log
-    this.endpoint = await this.parseEndpointFromLog(/tcp:\/\/[^\s]+/, this.config.timeouts.tunnelStartup);
+    this.endpoint = await this.parseEndpointFromLog(this.endpointPattern, this.config.timeouts.tunnelStartup);
 
     if (this.endpoint) {
       this.logSuccess(`Endpoint: ${this.endpoint}`);
@@ -86,6 +86,7 @@ class PinggyTunnel extends BaseTunnel {
       pid: this.pid,
       endpoint: this.endpoint,
       logFile: this.logFile,
+      pidFile,
     };
   }
 
@@ -101,6 +102,29 @@ class PinggyTunnel extends BaseTunnel {
 
     return `ssh -p ${port} ${currentUser}@${host} -i <your-private-key>`;
   }
+
+  async getPipelineVars() {
+    if (!this.endpoint) return {};
+
+    return {
+      PINGGY_ENDPOINT: this.endpoint,
+      PINGGY_SSH_COMMAND: (await this.getConnectCommand()) || '',
+    };
+  }
 }
 
+registry.register({
+  id: 'pinggy',
+  displayName: 'Pinggy',
+  TunnelClass: PinggyTunnel,
+  envPrefix: 'PINGGY_',
+  schema: {
+    enabled: { env: 'PINGGY_ENABLE', type: 'boolean', default: false, description: 'Enable Pinggy tunnel' },
+    foreground: { type: 'boolean', default: false, description: 'Run in foreground' },
+    targetHost: { default: 'localhost', description: 'Target host' },
+    targetPort: { type: 'port', description: 'Target port (default: SSH port)' },
+    regionHost: { default: 'a.pinggy.io', description: 'Pinggy region server' },
+  },
+});
+
 module.exports = PinggyTunnel;
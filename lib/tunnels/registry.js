@@ -0,0 +1,143 @@
+/**
+ * tunnels/registry.js - Registry of tunnel providers
+ *
+ * Each provider registers itself with:
+ *   id           - Config key (config.tunnels[id]) and CLI name, e.g. 'pinggy'
+ *   displayName  - Name shown to users and stored as tunnelType, e.g. 'Pinggy'
+ *   TunnelClass  - BaseTunnel subclass, constructed with (config, utils, hostrunner)
+ *   envPrefix    - Prefix for env vars derived from schema keys, e.g. 'PINGGY_'
+ *   schema       - { key: { env, flag, type, min, max, enum, secret, default, description } } settings read
+ *                  into config.tunnels[id] (fields as in lib/settings.js); env defaults to <envPrefix><KEY>,
+ *                  flag to <id>-<key> in kebab-case
+ */
+
+const path = require('path');
+const BaseTunnel = require('./base');
+const { ConfigError } = require('../errors');
+
+const providers = new Map();
+const loadedPackages = new Set();
+
+/**
+ * Convert camelCase key to SNAKE_CASE env suffix
+ */
+function toEnvSuffix(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Register a tunnel provider
+ * @param {Object} provider - Provider descriptor (see module header)
+ * @returns {Object} Normalized provider
+ */
+function register(provider) {
+  const { id, TunnelClass } = provider || {};
+
+  if (!id || !/^[a-z][a-z0-9-]*$/.test(id)) {
+    throw new ConfigError(`Invalid tunnel provider id: ${id}`);
+  }
+
+  if (typeof TunnelClass !== 'function' || !(TunnelClass.prototype instanceof BaseTunnel)) {
+    throw new ConfigError(`Tunnel provider '${id}' must provide a BaseTunnel subclass`);
+  }
+
+  const envPrefix = provider.envPrefix || `${toEnvSuffix(id).replace(/-/g, '_')}_`;
+  const schema = {};
+
+  for (const [key, spec] of Object.entries(provider.schema || {})) {
+    schema[key] = {
+      type: 'string',
+      default: null,
+      ...spec,
+      env: spec.env || `${envPrefix}${toEnvSuffix(key)}`,
+      flag: spec.flag || `${id}-${toEnvSuffix(key).toLowerCase().replace(/_/g, '-')}`,
+    };
+  }
+
+  const normalized = {
+    ...provider,
+    displayName: provider.displayName || id,
+    envPrefix,
+    schema,
+  };
+
+  providers.set(id, normalized);
+  return normalized;
+}
+
+/**
+ * Find provider by id or display name
+ * @returns {Object|null}
+ */
+function get(name) {
+  if (providers.has(name)) return providers.get(name);
+
+  for (const provider of providers.values()) {
+    if (provider.displayName === name) return provider;
+  }
+
+  return null;
+}
+
+/**
+ * List registered providers in registration order
+ */
+function list() {
+  return [...providers.values()];
+}
+
+/**
+ * Create tunnel instance for a provider id or display name
+ * @returns {BaseTunnel|null}
+ */
+function createTunnel(name, config, utils, hostrunner) {
+  const provider = get(name);
+  return provider ? new provider.TunnelClass(config, utils, hostrunner) : null;
+}
+
+/**
+ * Load third-party providers from npm packages
+ *
+ * A package exports either a provider descriptor, or a function called with
+ * { register, BaseTunnel } that registers one or more providers.
+ *
+ * @param {string[]} packageNames - Package names or paths
+ * @returns {Object[]} Newly registered providers
+ */
+function loadExternal(packageNames = []) {
+  const loaded = [];
+
+  for (const name of packageNames) {
+    if (loadedPackages.has(name)) continue;
+
+    let exported;
+
+    try {
+      const resolved = require.resolve(name, { paths: [process.cwd(), path.join(__dirname, '..', '..')] });
+      exported = require(resolved);
+    } catch (err) {
+      throw new ConfigError(`Failed to load tunnel provider '${name}': ${err.message}`, { package: name });
+    }
+
+    if (typeof exported === 'function' && !(exported.prototype instanceof BaseTunnel)) {
+      exported({
+        register: provider => loaded.push(register(provider)),
+        BaseTunnel,
+      });
+    } else {
+      loaded.push(register(exported));
+    }
+
+    loadedPackages.add(name);
+  }
+
+  return loaded;
+}
+
+module.exports = {
+  register,
+  get,
+  list,
+  createTunnel,
+  loadExternal,
+};
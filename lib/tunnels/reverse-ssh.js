@@ -0,0 +1,266 @@
+/**
+ * tunnels/reverse-ssh.js - Reverse SSH tunnel to a user-supplied bastion host
+ */
+
+const path = require('path');
+const os = require('os');
+const BaseTunnel = require('./base');
+const registry = require('./registry');
+const { TunnelError } = require('../errors');
+
+// Key types that start a bare public key (without host pattern)
+const KEY_TYPE_PREFIX = /^(ssh-|ecdsa-|sk-)/;
+
+class ReverseSshTunnel extends BaseTunnel {
+  constructor(config, utils, hostrunner) {
+    super(config, utils);
+    this.name = 'Reverse-SSH';
+    this.command = 'ssh';
+    this.hostrunner = hostrunner;
+    // Files written by start() next to the log, removed by cleanup()
+    this.identityPath = null;
+    this.knownHostsPath = null;
+    // Printed by ssh when the bastion allocates the port (-R 0:...)
+    this.endpointPattern = /Allocated port \d+ for remote forward/;
+  }
+
+  get settings() {
+    return this.config.tunnels['reverse-ssh'];
+  }
+
+  restore(record = {}) {
+    super.restore(record);
+    this.identityPath = record.identityPath || null;
+    this.knownHostsPath = record.knownHostsPath || null;
+    return this;
+  }
+
+  async isAvailable() {
+    const reverseSsh = this.settings;
+    return reverseSsh.enabled && !!reverseSsh.host && !!reverseSsh.user;
+  }
+
+  async install() {
+    if (!this.utils.commandExists('ssh')) {
+      throw new TunnelError(this.name, 'SSH client not found. Please install OpenSSH client.');
+    }
+    return true;
+  }
+
+  normalizeEndpoint(text) {
+    const port = text.match(/\d+/)[0];
+    return `${this.settings.host}:${port}`;
+  }
+
+  /**
+   * Write identity key from secret, accepting raw or base64 encoded key
+   * @returns {string|null} Path to identity file
+   */
+  writeIdentityKey(logDir) {
+    const { identityKey, identityFile } = this.settings;
+
+    if (identityFile) {
+      return identityFile;
+    }
+
+    if (!identityKey) {
+      return null;
+    }
+
+    let key = identityKey.trim();
+    if (!key.includes('PRIVATE KEY')) {
+      key = Buffer.from(key, 'base64').toString('utf8').trim();
+    }
+
+    if (!key.includes('PRIVATE KEY')) {
+      throw new TunnelError(this.name, 'REVERSE_SSH_IDENTITY_KEY is not a private key (raw or base64)');
+    }
+
+    const keyPath = path.join(logDir, 'reverse_ssh_key');
+    this.utils.writeFileSafe(keyPath, key + '\n', 0o600);
+    return keyPath;
+  }
+
+  /**
+   * Write known_hosts with the pinned bastion host key
+   * @returns {string|null} Path to known_hosts file
+   */
+  writeKnownHosts(logDir) {
+    const { host, port, hostKey } = this.settings;
+
+    if (!hostKey) {
+      return null;
+    }
+
+    const hostPattern = String(port) === '22' ? host : `[${host}]:${port}`;
+    const lines = hostKey
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => (KEY_TYPE_PREFIX.test(line) ? `${hostPattern} ${line}` : line));
+
+    const knownHostsPath = path.join(logDir, 'reverse_ssh_known_hosts');
+    this.utils.writeFileSafe(knownHostsPath, lines.join('\n') + '\n', 0o600);
+    return knownHostsPath;
+  }
+
+  async start(sshPort, logDir) {
+    await this.install();
+
+    const reverseSsh = this.settings;
+    const targetHost = reverseSsh.targetHost || 'localhost';
+    const targetPort = reverseSsh.targetPort || sshPort;
+    const remotePort = reverseSsh.remotePort || '0';
+
+    this.logFile = path.join(logDir, 'reverse-ssh.log');
+    const pidFile = path.join(logDir, 'reverse-ssh.pid');
+
+    if (!reverseSsh.hostKey && !reverseSsh.trustOnFirstUse) {
+      throw new TunnelError(
+        this.name,
+        'REVERSE_SSH_HOST_KEY is required (or REVERSE_SSH_TRUST_ON_FIRST_USE=1 to accept the first bastion key)'
+      );
+    }
+
+    const identityPath = this.writeIdentityKey(logDir);
+    // A key file given by the user is theirs, only a key written from the secret is removed
+    this.identityPath = identityPath !== reverseSsh.identityFile ? identityPath : null;
+    this.knownHostsPath = this.writeKnownHosts(logDir);
+
+    const args = ['-N', '-p', String(reverseSsh.port)];
+
+    if (identityPath) {
+      args.push('-i', identityPath, '-o', 'IdentitiesOnly=yes');
+    }
+
+    if (this.knownHostsPath) {
+      args.push('-o', `UserKnownHostsFile=${this.knownHostsPath}`, '-o', 'StrictHostKeyChecking=yes');
+    } else {
+      // Opted in: the first key is accepted into a run-local file, not the runner's ~/.ssh/known_hosts
+      this.logWarn('No REVERSE_SSH_HOST_KEY pinned, trusting bastion host key on first use');
+      this.knownHostsPath = path.join(logDir, 'reverse_ssh_known_hosts');
+      args.push('-o', `UserKnownHostsFile=${this.knownHostsPath}`, '-o', 'StrictHostKeyChecking=accept-new');
+    }
+
+    args.push(
+      '-o',
+      'BatchMode=yes',
+      '-o',
+      'ServerAliveInterval=30',
+      '-o',
+      'ServerAliveCountMax=3',
+      '-o',
+      'ExitOnForwardFailure=yes',
+      '-R',
+      `${reverseSsh.remoteBind}:${remotePort}:${targetHost}:${targetPort}`,
+      `${reverseSsh.user}@${reverseSsh.host}`
+    );
+
+    this.logInfo('Starting tunnel...');
+    this.logInfo(`Forwarding: ${reverseSsh.host}:${remotePort} → ${targetHost}:${targetPort}`);
+
+    if (reverseSsh.foreground) {
+      const exited = this.utils.spawnForeground('ssh', args);
+      return { started: true, foreground: true, exited };
+    }
+
+    this.pid = this.utils.spawnDetached('ssh', args, this.logFile);
+    this.utils.writePidFile(pidFile, this.pid);
+
+    this.logSuccess(`Started in background (PID: ${this.pid})`);
+    this.logInfo(`Log file: ${this.logFile}`);
+
+    if (String(remotePort) === '0') {
+      this.endpoint = await this.parseEndpointFromLog(this.endpointPattern, this.config.timeouts.tunnelStartup);
+    } else {
+      // Fixed port: ExitOnForwardFailure makes ssh exit quickly if binding fails
+      if (!this.utils.isDryRun()) {
+        await this.utils.sleep(Math.min(3000, this.config.timeouts.tunnelStartup));
+      }
+      this.endpoint = `${reverseSsh.host}:${remotePort}`;
+    }
+
+    if (!this.utils.isDryRun() && !this.utils.isProcessAlive(this.pid)) {
+      throw new TunnelError(this.name, `ssh exited, check ${this.logFile}`);
+    }
+
+    if (this.endpoint) {
+      this.logSuccess(`Endpoint: ${this.endpoint}`);
+
+      for (const [name, value] of Object.entries(await this.getPipelineVars())) {
+        this.hostrunner.setPipelineVar(name, value);
+      }
+    } else {
+      this.logWarn('Allocated port not detected yet. Check reverse-ssh.log');
+    }
+
+    return {
+      started: true,
+      foreground: false,
+      pid: this.pid,
+      endpoint: this.endpoint,
+      logFile: this.logFile,
+      pidFile,
+      identityPath: this.identityPath,
+      knownHostsPath: this.knownHostsPath,
+    };
+  }
+
+  /**
+   * Remove the identity key and known_hosts written by start()
+   */
+  async cleanup() {
+    const removedKey = this.utils.removeFile(this.identityPath);
+    const removedKnownHosts = this.utils.removeFile(this.knownHostsPath);
+    return removedKey || removedKnownHosts;
+  }
+
+  async getConnectCommand() {
+    if (!this.endpoint) return null;
+
+    const reverseSsh = this.settings;
+    const remotePort = this.endpoint.split(':').pop();
+    const jumpPort = String(reverseSsh.port) === '22' ? '' : `:${reverseSsh.port}`;
+    const bindHost = ['0.0.0.0', '*', ''].includes(reverseSsh.remoteBind) ? 'localhost' : reverseSsh.remoteBind;
+    const currentUser = os.userInfo().username;
+
+    return `ssh -J ${reverseSsh.user}@${reverseSsh.host}${jumpPort} -p ${remotePort} ${currentUser}@${bindHost} -i <your-private-key>`;
+  }
+
+  async getPipelineVars() {
+    if (!this.endpoint) return {};
+
+    return {
+      REVERSE_SSH_ENDPOINT: this.endpoint,
+      REVERSE_SSH_COMMAND: (await this.getConnectCommand()) || '',
+    };
+  }
+}
+
+registry.register({
+  id: 'reverse-ssh',
+  displayName: 'Reverse-SSH',
+  TunnelClass: ReverseSshTunnel,
+  envPrefix: 'REVERSE_SSH_',
+  schema: {
+    enabled: { env: 'REVERSE_SSH_ENABLE', type: 'boolean', default: false, description: 'Enable reverse SSH tunnel' },
+    foreground: { type: 'boolean', default: false, description: 'Run in foreground' },
+    host: { description: 'Bastion host' },
+    port: { type: 'port', default: '22', description: 'Bastion SSH port' },
+    user: { description: 'User on the bastion' },
+    remoteBind: { default: 'localhost', description: 'Bind address on the bastion' },
+    remotePort: { type: 'port', min: 0, default: '0', description: 'Port on the bastion (0: allocated)' },
+    identityKey: { secret: true, description: 'Private key for the bastion (raw or base64)' },
+    identityFile: { description: 'Path to private key for the bastion' },
+    hostKey: { description: 'Pinned bastion host key' },
+    trustOnFirstUse: {
+      type: 'boolean',
+      default: false,
+      description: 'Accept the bastion host key on first use when no host key is pinned',
+    },
+    targetHost: { default: 'localhost', description: 'Target host' },
+    targetPort: { type: 'port', description: 'Target port (default: SSH port)' },
+  },
+});
+
+module.exports = ReverseSshTunnel;
@@ -3,14 +3,15 @@
  */
 
 const path = require('path');
-const fs = require('fs');
 const BaseTunnel = require('./base');
+const registry = require('./registry');
 const { TunnelError } = require('../errors');
 
 class SshjTunnel extends BaseTunnel {
   constructor(config, utils, hostrunner) {
     super(config, utils);
     this.name = 'SSH-J';
+    this.command = 'ssh';
     this.hostrunner = hostrunner;
   }
 
@@ -79,14 +80,12 @@ class SshjTunnel extends BaseTunnel {
     this.hostrunner.setPipelineVar('SSHJ_DEVICE_PORT', devicePort);
 
     if (foreground) {
-      const { spawn } = require('child_process');
-      const child = spawn('ssh', publishArgs, { stdio: 'inherit' });
-      child.on('exit', code => process.exit(code ?? 0));
-      return { started: true, foreground: true };
+      const exited = this.utils.spawnForeground('ssh', publishArgs);
+      return { started: true, foreground: true, exited };
     }
 
     this.pid = this.utils.spawnDetached('ssh', publishArgs, this.logFile);
-    fs.writeFileSync(pidFile, String(this.pid), 'utf8');
+    this.utils.writePidFile(pidFile, this.pid);
 
     this.logSuccess(`Started in background (PID: ${this.pid})`);
     this.logInfo(`Log file: ${this.logFile}`);
@@ -109,6 +108,7 @@ class SshjTunnel extends BaseTunnel {
       device,
       connectCommand: connectCmd1,
       logFile: this.logFile,
+      pidFile,
     };
   }
 
@@ -125,4 +125,21 @@ class SshjTunnel extends BaseTunnel {
   }
 }
 
+registry.register({
+  id: 'sshj',
+  displayName: 'SSH-J',
+  TunnelClass: SshjTunnel,
+  envPrefix: 'SSHJ_',
+  schema: {
+    enabled: { env: 'SSHJ_ENABLE', type: 'boolean', default: false, description: 'Enable SSH-J tunnel' },
+    foreground: { type: 'boolean', default: false, description: 'Run in foreground' },
+    host: { default: 'ssh-j.com', description: 'SSH-J server' },
+    namespace: { description: 'Namespace (default: generated)' },
+    device: { description: 'Device name (default: generated)' },
+    devicePort: { type: 'port', default: '22', description: 'Port exposed on the device' },
+    localHost: { default: 'localhost', description: 'Target host' },
+    localPort: { type: 'port', description: 'Target port (default: SSH port)' },
+  },
+});
+
 module.exports = SshjTunnel;
@@ -0,0 +1,252 @@
+/**
+ * tunnels/tailscale.js - Tailscale implementation (join runner to a tailnet)
+ */
+
+const os = require('os');
+const path = require('path');
+const BaseTunnel = require('./base');
+const registry = require('./registry');
+const { TunnelError } = require('../errors');
+
+class TailscaleTunnel extends BaseTunnel {
+  constructor(config, utils, hostrunner) {
+    super(config, utils);
+    this.name = 'Tailscale';
+    this.hostrunner = hostrunner;
+    this.ip = null;
+    this.hostname = null;
+  }
+
+  async isAvailable() {
+    const { tailscale } = this.config.tunnels;
+    return tailscale.enabled && !!tailscale.clientSecret;
+  }
+
+  async install() {
+    if (this.utils.commandExists('tailscale')) {
+      const version = this.utils.runCapture('tailscale version');
+      this.logInfo(`tailscale already installed${version ? ` (${version.split('\n')[0].trim()})` : ''}`);
+      return true;
+    }
+
+    this.logInfo('Installing tailscale...');
+
+    if (this.utils.isLinux) {
+      this.utils.run('curl -fsSL https://tailscale.com/install.sh | sh');
+      this.utils.run('sudo systemctl enable --now tailscaled', { ignoreError: true });
+
+      this.logSuccess('tailscale installed successfully');
+      return true;
+    } else if (this.utils.isDarwin) {
+      this.logError('Auto-install on macOS not supported');
+      this.logInfo('Install via: brew install tailscale');
+      return false;
+    } else if (this.utils.isWindows) {
+      this.logError('Auto-install on Windows not supported');
+      this.logInfo('Download from: https://tailscale.com/download/windows');
+      return false;
+    } else {
+      throw new TunnelError(this.name, `Unsupported platform: ${os.platform()}`);
+    }
+  }
+
+  /**
+   * Read `tailscale status --json`
+   * @returns {Object|null}
+   */
+  getStatus() {
+    const out = this.utils.runCapture('tailscale status --json');
+    if (!out) return null;
+
+    try {
+      return JSON.parse(out);
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  /**
+   * Refresh IP and hostname from tailscale status
+   * @returns {boolean} true if backend is running
+   */
+  refresh() {
+    const status = this.getStatus();
+    if (!status || status.BackendState !== 'Running' || !status.Self) {
+      return false;
+    }
+
+    this.ip = (status.Self.TailscaleIPs || []).find(ip => !ip.includes(':')) || null;
+    this.hostname = status.Self.DNSName ? status.Self.DNSName.replace(/\.$/, '') : null;
+    this.endpoint = this.hostname || this.ip;
+    return true;
+  }
+
+  /**
+   * Poll tailscale status until the backend is running
+   */
+  async waitForConnection(timeout) {
+    this.logInfo('Waiting for tailnet connection...');
+    const start = Date.now();
+    let connected = this.refresh();
+
+    while (!connected && Date.now() - start < timeout) {
+      await this.utils.sleep(2000);
+      connected = this.refresh();
+    }
+
+    if (!connected) {
+      throw new TunnelError(this.name, `Not connected after ${timeout}ms`);
+    }
+  }
+
+  async start(sshPort, logDir) {
+    const installed = await this.install();
+    if (!installed) {
+      throw new TunnelError(this.name, 'Installation failed');
+    }
+
+    const { tailscale } = this.config.tunnels;
+
+    let hostname = tailscale.hostname;
+    if (!hostname) {
+      const repo = this.utils.sanitizeId(this.hostrunner.getRepoName(), 18);
+      const rid = this.utils.sanitizeId(this.hostrunner.getRunnerId(), 10);
+      hostname = `${repo}-${rid}`.replace(/[^a-z0-9-]/g, '-');
+    }
+
+    // An OAuth client secret is an auth key for tagged devices; read from a file
+    // so that it does not show up in the process list
+    const keyFile = path.join(logDir, 'tailscale-authkey');
+    this.utils.writeFileSafe(keyFile, `${tailscale.clientSecret}?preauthorized=true`, 0o600);
+
+    // Run through a shell, so configured values are quoted
+    const quote = this.utils.shSingleQuote;
+    const args = [
+      'sudo',
+      'tailscale',
+      'up',
+      `--auth-key=file:${quote(keyFile)}`,
+      `--hostname=${quote(hostname)}`,
+      '--accept-routes',
+      '--accept-dns=false',
+    ];
+
+    if (tailscale.ssh && this.utils.isLinux) {
+      args.push('--ssh');
+    }
+
+    args.push(`--advertise-tags=${quote(tailscale.tags)}`);
+
+    this.logInfo(`Logging in with OAuth client${tailscale.clientId ? ` ${tailscale.clientId}` : ''}...`);
+    this.logInfo(`Tags: ${tailscale.tags}`);
+
+    try {
+      this.utils.run(args.join(' '));
+    } finally {
+      this.utils.removeFile(keyFile);
+    }
+
+    if (this.utils.isDryRun()) {
+      // Nothing connects in a dry run, the requested machine name stands in for the tailnet name
+      this.hostname = hostname;
+      this.endpoint = hostname;
+    } else {
+      await this.waitForConnection(tailscale.connectTimeout);
+    }
+
+    this.logSuccess(`Connected as ${this.hostname || hostname}`);
+    if (this.ip) {
+      this.logSuccess(`Tailscale IP: ${this.ip}`);
+    }
+
+    if (!tailscale.ssh && this.config.ssh.listenAddress === '127.0.0.1') {
+      this.logWarn('sshd listens on 127.0.0.1 only; set SSH_LISTEN_ADDRESS or TAILSCALE_SSH=1 to connect');
+    }
+
+    for (const [name, value] of Object.entries(await this.getPipelineVars())) {
+      this.hostrunner.setPipelineVar(name, value);
+    }
+
+    this.sshPort = sshPort;
+    const connectCmd = await this.getConnectCommand();
+    if (connectCmd) {
+      this.logInfo('Connect from a device in your tailnet:');
+      this.logInfo(`  ${connectCmd}`);
+    }
+
+    return {
+      started: true,
+      foreground: false,
+      endpoint: this.endpoint,
+      ip: this.ip,
+      hostname: this.hostname,
+      // Tailscale SSH answers instead of sshd, its sessions are not in sshd.log
+      sshServer: tailscale.ssh && this.utils.isLinux ? 'tailscale' : null,
+    };
+  }
+
+  async getEndpoint() {
+    this.refresh();
+    return this.endpoint;
+  }
+
+  async getConnectCommand() {
+    if (!this.endpoint) return null;
+
+    const currentUser = os.userInfo().username;
+
+    // Tailscale SSH answers on port 22 of the tailnet address
+    if (this.config.tunnels.tailscale.ssh && this.utils.isLinux) {
+      return `ssh ${currentUser}@${this.endpoint}`;
+    }
+
+    const port = this.sshPort || this.config.ssh.port;
+    return `ssh -p ${port} ${currentUser}@${this.endpoint} -i <your-private-key>`;
+  }
+
+  async getPipelineVars() {
+    const vars = {};
+    if (this.ip) vars.TAILSCALE_IP = this.ip;
+    if (this.hostname) vars.TAILSCALE_HOSTNAME = this.hostname;
+    return vars;
+  }
+
+  async healthCheck() {
+    if (this.refresh()) {
+      return { healthy: true, message: 'Running' };
+    }
+
+    const status = this.getStatus();
+    return { healthy: false, message: status ? `Backend ${status.BackendState}` : 'tailscale not running' };
+  }
+
+  async stop() {
+    if (!this.utils.commandExists('tailscale')) {
+      return false;
+    }
+
+    this.logInfo('Logging out of tailnet...');
+    this.utils.run('sudo tailscale down', { ignoreError: true });
+    this.utils.run('sudo tailscale logout', { ignoreError: true });
+    this.endpoint = null;
+    return true;
+  }
+}
+
+registry.register({
+  id: 'tailscale',
+  displayName: 'Tailscale',
+  TunnelClass: TailscaleTunnel,
+  envPrefix: 'TAILSCALE_',
+  schema: {
+    enabled: { env: 'TAILSCALE_ENABLE', type: 'boolean', default: false, description: 'Join a tailnet' },
+    clientId: { description: 'OAuth client ID (shown in the log)' },
+    clientSecret: { secret: true, description: 'OAuth client secret, used as auth key' },
+    tags: { default: 'tag:ci', description: 'Tags to advertise' },
+    hostname: { description: 'Machine name (default: <repo>-<runner-id>)' },
+    ssh: { type: 'boolean', default: true, description: 'Enable Tailscale SSH on Linux' },
+    connectTimeout: { type: 'int', min: 1000, default: 30000, description: 'Wait for tailnet connection (ms)' },
+  },
+});
+
+module.exports = TailscaleTunnel;
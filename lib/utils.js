@@ -7,12 +7,20 @@ const path = require('path');
 const os = require('os');
 const { execSync, spawn } = require('child_process');
 const logger = require('./logger');
+const plan = require('./plan');
 const { NetworkError } = require('./errors');
 
 const isWindows = os.platform() === 'win32';
 const isLinux = os.platform() === 'linux';
 const isDarwin = os.platform() === 'darwin';
 
+/**
+ * True while a dry run records an execution plan instead of changing the runner
+ */
+function isDryRun() {
+  return plan.isActive();
+}
+
 /**
  * Execute command and return output
  */
@@ -33,6 +41,12 @@ function runCapture(cmd, opts = {}) {
  */
 function run(cmd, opts = {}) {
   logger.command(cmd, opts.maskPatterns || []);
+
+  if (isDryRun()) {
+    plan.record('command', { command: cmd }, opts.maskPatterns || []);
+    return null;
+  }
+
   try {
     return execSync(cmd, { stdio: 'inherit', ...opts });
   } catch (err) {
@@ -84,6 +98,13 @@ function isRootOnLinux() {
  */
 function ensureDir(dirPath, mode = 0o700) {
   if (!fs.existsSync(dirPath)) {
+    if (isDryRun()) {
+      // Recorded once, later calls for the same path are no-ops like on disk
+      if (!plan.getSteps().some(step => step.type === 'directory' && step.path === dirPath)) {
+        plan.record('directory', { path: dirPath, mode });
+      }
+      return;
+    }
     fs.mkdirSync(dirPath, { recursive: true, mode });
     logger.debug(`Created directory: ${dirPath}`);
   }
@@ -93,11 +114,46 @@ function ensureDir(dirPath, mode = 0o700) {
  * Write file safely with proper permissions
  */
 function writeFileSafe(filePath, content, mode = 0o600) {
+  if (isDryRun()) {
+    ensureDir(path.dirname(filePath));
+    plan.record('file', { path: filePath, mode, content: String(content) });
+    return;
+  }
+
   ensureDir(path.dirname(filePath));
   fs.writeFileSync(filePath, content, { encoding: 'utf8', mode });
   logger.debug(`Written file: ${filePath}`);
 }
 
+/**
+ * Remove a file if it exists
+ * @returns {boolean} true if removed (or recorded in a dry run)
+ */
+function removeFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return false;
+
+  if (isDryRun()) {
+    plan.record('remove', { path: filePath });
+    return true;
+  }
+
+  try {
+    fs.unlinkSync(filePath);
+    logger.debug(`Removed file: ${filePath}`);
+    return true;
+  } catch (err) {
+    logger.debug(`Failed to remove ${filePath}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Write PID file of a process started by spawnDetached
+ */
+function writePidFile(pidFile, pid) {
+  writeFileSafe(pidFile, isDryRun() ? '<pid>' : String(pid), 0o644);
+}
+
 /**
  * Sleep for specified milliseconds
  */
@@ -142,6 +198,9 @@ async function retryWithBackoff(fn, options = {}) {
  * Wait for port to be listening on localhost
  */
 async function waitPortLocalhost(port, timeoutMs = 8000) {
+  // Nothing was started in a dry run, assume the port would come up
+  if (isDryRun()) return true;
+
   const start = Date.now();
 
   while (Date.now() - start < timeoutMs) {
@@ -178,6 +237,11 @@ async function waitPortLocalhost(port, timeoutMs = 8000) {
 function spawnDetached(cmd, args, logFile = null) {
   logger.debug(`Spawning detached: ${cmd} ${args.join(' ')}`);
 
+  if (isDryRun()) {
+    plan.record('process', { command: cmd, args, logFile, detached: true });
+    return null;
+  }
+
   let outFd = null;
   let errFd = null;
 
@@ -210,6 +274,105 @@ function spawnDetached(cmd, args, logFile = null) {
   return child.pid;
 }
 
+/**
+ * Run process in the foreground with inherited stdio
+ * @returns {Promise<number>} Exit code once the process ends
+ */
+function spawnForeground(cmd, args) {
+  if (isDryRun()) {
+    plan.record('process', { command: cmd, args, logFile: null, detached: false });
+    return Promise.resolve(0);
+  }
+
+  return new Promise(resolve => {
+    const child = spawn(cmd, args, { stdio: 'inherit' });
+
+    child.on('error', err => {
+      logger.error(`Failed to start ${cmd}: ${err.message}`);
+      resolve(1);
+    });
+    child.on('exit', code => resolve(code ?? 0));
+  });
+}
+
+/**
+ * Check if process is still alive
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM means the process exists but belongs to another user
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Stop process with SIGTERM, escalate to SIGKILL after grace period
+ * @returns {Promise<boolean>} true if process is gone
+ */
+async function killProcess(pid, graceMs = 3000) {
+  if (!isProcessAlive(pid)) return true;
+
+  if (isDryRun()) {
+    plan.record('kill', { pid });
+    return true;
+  }
+
+  try {
+    process.kill(pid, 'SIGTERM');
+  } catch (err) {
+    logger.debug(`SIGTERM failed for PID ${pid}: ${err.message}`);
+  }
+
+  const start = Date.now();
+  while (Date.now() - start < graceMs) {
+    if (!isProcessAlive(pid)) return true;
+    await sleep(100);
+  }
+
+  try {
+    process.kill(pid, 'SIGKILL');
+    logger.debug(`Sent SIGKILL to PID ${pid}`);
+  } catch (err) {
+    logger.debug(`SIGKILL failed for PID ${pid}: ${err.message}`);
+  }
+
+  await sleep(100);
+  return !isProcessAlive(pid);
+}
+
+/**
+ * Read last lines of a text file
+ * @returns {string[]} Lines (empty if file is missing)
+ */
+function tailFile(filePath, lines = 5) {
+  if (!filePath) return [];
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return content.split(/\r?\n/).filter(Boolean).slice(-lines);
+  } catch (_err) {
+    return [];
+  }
+}
+
+/**
+ * Format duration in ms as human readable string (e.g. 1h 2m 3s)
+ */
+function formatDuration(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+
+  if (h > 0) return `${h}h ${m}m ${s}s`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
 /**
  * Shell single quote escape
  */
@@ -283,6 +446,11 @@ function withTimeout(ms) {
 async function downloadBinary(url, dest, options = {}) {
   const { maxRetries = 3, timeout = 30000 } = options;
 
+  if (isDryRun()) {
+    plan.record('download', { url, dest, mode: isWindows ? undefined : 0o755 });
+    return;
+  }
+
   await retryWithBackoff(
     async () => {
       logger.progress(`Downloading ${path.basename(dest)}...`);
@@ -348,6 +516,7 @@ module.exports = {
   isWindows,
   isLinux,
   isDarwin,
+  isDryRun,
   run,
   runCapture,
   commandExists,
@@ -356,10 +525,17 @@ module.exports = {
   isRootOnLinux,
   ensureDir,
   writeFileSafe,
+  removeFile,
+  writePidFile,
   sleep,
   retryWithBackoff,
   waitPortLocalhost,
   spawnDetached,
+  spawnForeground,
+  isProcessAlive,
+  killProcess,
+  tailFile,
+  formatDuration,
   shSingleQuote,
   sanitizeId,
   sanitizeUrl,
@@ -0,0 +1,164 @@
+/**
+ * wait.js - Block the job until the user is done, like a debug breakpoint
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const utils = require('./utils');
+const config = require('./config');
+const state = require('./state');
+const { getDeadline, remaining, createWarner } = require('./deadline');
+
+// How often to print a "still waiting" message
+const REMINDER_INTERVAL = 60000;
+
+/**
+ * Count active SSH sessions from user-mode sshd.log
+ * @returns {number|null} Active sessions, null if the log is unavailable or has no sshd messages
+ */
+function countSessionsFromLog(logPath) {
+  if (!logPath || !fs.existsSync(logPath)) return null;
+
+  try {
+    const content = fs.readFileSync(logPath, 'utf8');
+    // sshd logs to syslog instead (no -e) or below INFO: the log cannot tell
+    if (!/Server listening on |Accepted \S+ for /.test(content)) return null;
+
+    const accepted = (content.match(/Accepted \S+ for /g) || []).length;
+    const closed = (content.match(/Disconnected from user /g) || []).length;
+    return Math.max(0, accepted - closed);
+  } catch (err) {
+    logger.debug(`Failed to read sshd log: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Count active SSH sessions from `who` (remote logins show a host in parentheses)
+ * @returns {number|null} Active sessions, null if `who` is unavailable
+ */
+function countSessionsFromWho() {
+  const out = utils.runCapture('who');
+  if (out === null) return null;
+
+  return out.split('\n').filter(line => /\(\S+\)\s*$/.test(line)).length;
+}
+
+/**
+ * Block until a user connected and disconnected, the continue file exists,
+ * or the timeout elapses (at the latest when the CI job ends)
+ *
+ * @param {Object} options - { timeout, pollInterval, continueFile } (defaults from config.wait)
+ * @returns {Promise<Object>} { reason: 'disconnected'|'continue'|'timeout'|'interrupted', waitedMs }
+ */
+async function waitForUser(options = {}) {
+  const pollInterval = options.pollInterval || config.wait.pollInterval;
+  const continueFile = options.continueFile || config.wait.continueFile;
+
+  const session = state.get();
+  const logPath = session && session.ssh && session.ssh.logPath;
+
+  // Waiting past the job deadline only hides that the runner is about to go away
+  const deadline = getDeadline(session);
+  const warnDeadline = createWarner(deadline);
+  const timeout = Math.min(options.timeout || config.wait.timeout, remaining(deadline));
+
+  // Leftover marker from an earlier session must not end this one
+  try {
+    fs.unlinkSync(continueFile);
+  } catch (_err) {}
+
+  logger.section('Waiting for User');
+  logger.info('The job is paused until you connect and disconnect again');
+  logger.info(`To continue earlier, run inside the SSH session: touch ${continueFile}`);
+  logger.info(`Maximum wait: ${utils.formatDuration(timeout)}`);
+  if (deadline) {
+    logger.info(`Session ends with the CI job at ${deadline.endsAt.toISOString()}`);
+  }
+
+  // Sessions of another SSH server (Tailscale SSH) are neither in sshd.log nor in `who`
+  const untracked = ((session && session.tunnels) || []).filter(t => t.success && t.sshServer);
+  for (const tunnel of untracked) {
+    logger.warn(`${tunnel.tunnelType} SSH sessions are not detected, end the wait with: touch ${continueFile}`);
+  }
+
+  if (session) {
+    state.update({ wait: { startedAt: new Date().toISOString(), timeout, continueFile } });
+  }
+
+  const start = Date.now();
+  let lastReminder = start;
+  let seenConnected = false;
+  let interrupted = false;
+
+  const interrupt = () => {
+    interrupted = true;
+  };
+  process.once('SIGINT', interrupt);
+  process.once('SIGTERM', interrupt);
+
+  let reason = 'timeout';
+
+  try {
+    while (Date.now() - start < timeout) {
+      if (interrupted) {
+        reason = 'interrupted';
+        break;
+      }
+
+      if (fs.existsSync(continueFile)) {
+        logger.success('Continue file found');
+        try {
+          fs.unlinkSync(continueFile);
+        } catch (_err) {}
+        reason = 'continue';
+        break;
+      }
+
+      const fromLog = countSessionsFromLog(logPath);
+      const active = fromLog !== null ? fromLog : countSessionsFromWho();
+
+      if (active > 0 && !seenConnected) {
+        seenConnected = true;
+        logger.success('User connected');
+      } else if (active === 0 && seenConnected) {
+        logger.success('User disconnected');
+        reason = 'disconnected';
+        break;
+      }
+
+      warnDeadline();
+
+      if (Date.now() - lastReminder >= REMINDER_INTERVAL) {
+        lastReminder = Date.now();
+        const remaining = utils.formatDuration(timeout - (Date.now() - start));
+        logger.info(`${seenConnected ? 'User connected' : 'Still waiting for user'} (${remaining} remaining)`);
+      }
+
+      await utils.sleep(pollInterval);
+    }
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+    process.removeListener('SIGTERM', interrupt);
+  }
+
+  const waitedMs = Date.now() - start;
+
+  if (reason === 'timeout') {
+    logger.warn(`Wait timed out after ${utils.formatDuration(waitedMs)}`);
+  } else {
+    logger.info(`Wait finished (${reason}) after ${utils.formatDuration(waitedMs)}`);
+  }
+
+  if (state.load()) {
+    state.update({ wait: null });
+  }
+
+  return { reason, waitedMs };
+}
+
+module.exports = {
+  waitForUser,
+  countSessionsFromLog,
+  countSessionsFromWho,
+};
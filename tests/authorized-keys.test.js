@@ -0,0 +1,197 @@
+/**
+ * authorized-keys.test.js - Unit tests for authorized key sources
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const plan = require('../lib/plan');
+const { parseKeys, collectAuthorizedKeys } = require('../lib/authorized-keys');
+const { applyRestrictions, parseOptions, formatOptions, parseRestrictions } = require('../lib/key-options');
+const { ConfigError, SSHDError } = require('../lib/errors');
+
+const ED25519 = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIGb1kW0hHXcQ2Y5nq3wCmWr2jJ5x0ZQ3t6dJ3q5nKk0m';
+const ECDSA =
+  'ecdsa-sha2-nistp256 AAAAE2VjZHNhLXNoYTItbmlzdHAyNTYAAAAIbmlzdHAyNTYAAABBBPMYlxRa2JWmzfdvubtreEs3dS2p+QaMbPhFCE1RlFhmfsGpNYxXGQQ8Gk8JnuhcP0AOdCgs6uuQioxWgS82PH4=';
+
+describe('Authorized Keys', () => {
+  const saved = {};
+  let tmpDir;
+  let server;
+  let requests;
+
+  beforeAll(async () => {
+    // Stands in for https://github.com/<user>.keys
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/octocat.keys') {
+        res.end(`${ECDSA}\n${ED25519}\n`);
+      } else {
+        res.statusCode = 404;
+        res.end('Not Found');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-keys-'));
+    saved.ssh = { ...config.ssh };
+    saved.env = { ...process.env };
+    requests = [];
+
+    config.ssh.publicKey = null;
+    config.ssh.publicKeyFile = null;
+    config.ssh.githubUsers = [];
+    config.ssh.authorizeActor = false;
+    config.ssh.keyOptions = null;
+    config.ssh.keyTtl = null;
+    config.ssh.keyRestrictions = null;
+    config.ssh.keysUrl = `http://127.0.0.1:${server.address().port}/`;
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.ssh, saved.ssh);
+    process.env = saved.env;
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should skip comments and log rejected keys', () => {
+    const keys = parseKeys(`# team keys\nno-pty ${ED25519} me@laptop\n\nnot a key\nssh-ed25519 not-base64!`, 'test');
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ options: 'no-pty', type: 'ssh-ed25519', comment: 'me@laptop', source: 'test' });
+    expect(keys[0].fingerprint).toMatch(/^SHA256:/);
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringMatching(/^Rejected key .* from test: key data is not base64/)
+    );
+  });
+
+  it('should merge text, file, users and the actor, deduplicated by fingerprint', async () => {
+    const keysFile = path.join(tmpDir, 'keys');
+    fs.writeFileSync(keysFile, `${ED25519} from-file\n`);
+
+    config.ssh.publicKey = `${ED25519} from-env`;
+    config.ssh.publicKeyFile = keysFile;
+    config.ssh.githubUsers = ['octocat', 'ghost'];
+    config.ssh.authorizeActor = true;
+    process.env.GITHUB_ACTIONS = 'true';
+    process.env.GITHUB_ACTOR = 'octocat';
+    process.env.GITHUB_SERVER_URL = config.ssh.keysUrl;
+
+    const keys = await collectAuthorizedKeys();
+
+    expect(keys.map(key => [key.type, key.source])).toEqual([
+      ['ssh-ed25519', 'PIPELINE_SSH_PUBKEY'],
+      ['ecdsa-sha2-nistp256', '127.0.0.1:octocat'],
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/127.0.0.1:ghost: .*HTTP 404/));
+  });
+
+  it('should fail when no source yields a key', async () => {
+    config.ssh.githubUsers = ['ghost'];
+
+    await expect(collectAuthorizedKeys()).rejects.toThrow(SSHDError);
+    await expect(collectAuthorizedKeys()).rejects.toThrow(/No valid SSH keys found in 127.0.0.1:ghost/);
+  });
+
+  it('should plan fetching user keys in a dry run and use placeholder keys', async () => {
+    config.ssh.githubUsers = ['octocat', 'ghost'];
+
+    plan.start();
+    const keys = await collectAuthorizedKeys();
+    const steps = plan.stop();
+
+    expect(requests).toEqual([]);
+    expect(steps).toEqual([
+      expect.objectContaining({ type: 'network', method: 'GET', url: `${config.ssh.keysUrl}octocat.keys` }),
+      expect.objectContaining({ type: 'network', method: 'GET', url: `${config.ssh.keysUrl}ghost.keys` }),
+    ]);
+    expect(keys.map(key => [key.type, key.source])).toEqual([
+      ['ssh-ed25519', '127.0.0.1:octocat'],
+      ['ssh-ed25519', '127.0.0.1:ghost'],
+    ]);
+    expect(keys[0].comment).toBe(`dry-run placeholder for ${config.ssh.keysUrl}octocat.keys`);
+  });
+
+  it('should refuse an actor that is no account on the keys server', async () => {
+    config.ssh.authorizeActor = true;
+    delete process.env.GITHUB_ACTIONS;
+    delete process.env.TF_BUILD;
+    process.env.GITLAB_CI = 'true';
+    process.env.GITLAB_USER_LOGIN = 'octocat';
+    process.env.CI_SERVER_URL = 'https://gitlab.example.com';
+
+    await expect(collectAuthorizedKeys()).rejects.toThrow(/user of https:\/\/gitlab.example.com/);
+
+    delete process.env.GITLAB_CI;
+    process.env.DRONE = 'true';
+    process.env.DRONE_COMMIT_AUTHOR = 'octocat';
+
+    await expect(collectAuthorizedKeys()).rejects.toThrow(ConfigError);
+    await expect(collectAuthorizedKeys()).rejects.toThrow(/not supported on Drone/);
+  });
+
+  describe('restrictions', () => {
+    it('should attach options per source, time-box keys and keep the earliest expiry', async () => {
+      config.ssh.publicKey = `${ED25519} maintainer`;
+      config.ssh.githubUsers = ['octocat'];
+      config.ssh.keyOptions = 'no-agent-forwarding';
+      config.ssh.keyTtl = 86400000;
+      config.ssh.keyRestrictions = [
+        '# contractor: read the logs for two hours',
+        '127.0.0.1:* from="10.0.0.0/8",no-pty,command="tail -F /tmp/app.log",ttl=2h',
+      ].join('\n');
+
+      const [maintainer, contractor] = await collectAuthorizedKeys();
+
+      expect(maintainer.line).toMatch(/^no-agent-forwarding,expiry-time="\d{14}" ssh-ed25519 \S+ maintainer$/);
+      expect(contractor.source).toBe('127.0.0.1:octocat');
+      expect(contractor.options).toMatch(
+        /^no-agent-forwarding,from="10.0.0.0\/8",no-pty,command="tail -F \/tmp\/app.log",expiry-time="\d{14}"$/
+      );
+      expect(contractor.options.match(/expiry-time="(\d+)"/)[1] < maintainer.options.match(/"(\d+)"/)[1]).toBe(true);
+    });
+
+    it('should merge options of the key line, repeatable options and fingerprint rules', () => {
+      const key = parseKeys(`pty ${ED25519}`, 'PIPELINE_SSH_PUBKEY')[0];
+      const rules = parseRestrictions(
+        `${key.fingerprint} restrict,permitopen="db:5432",permitopen="cache:6379",expiry-time="20260101"`
+      );
+
+      expect(applyRestrictions(key, { rules }).options).toBe(
+        'pty,restrict,permitopen="db:5432",permitopen="cache:6379",expiry-time="20260101000000"'
+      );
+      expect(() => parseRestrictions('github.com:* no-such-option')).toThrow(/line 1: unknown authorized_keys option/);
+    });
+
+    it('should never widen restrictions of the key line', () => {
+      const key = parseKeys(`from="1.2.3.4",permitopen="db:5432",command="uptime" ${ED25519}`, 'test')[0];
+      const rules = parseRestrictions('test from="10.0.0.0/8",permitopen="cache:6379",no-pty');
+
+      expect(applyRestrictions(key, { options: 'from="0.0.0.0/0",command="bash"', rules }).options).toBe(
+        'from="1.2.3.4",permitopen="db:5432",command="uptime",no-pty'
+      );
+    });
+
+    it('should keep backslashes as sshd reads them and escape only quotes', () => {
+      const options = parseOptions('command="grep -E a\\.b \\"x y\\" log",from="10.0.0.1"');
+
+      expect(options).toEqual([
+        ['command', 'grep -E a\\.b "x y" log'],
+        ['from', '10.0.0.1'],
+      ]);
+      expect(formatOptions(options)).toBe('command="grep -E a\\.b \\"x y\\" log",from="10.0.0.1"');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * cli.test.js - Unit tests for command-line parsing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, formatHelp, main } = require('../lib/cli');
+const config = require('../lib/config');
+const SETTINGS = require('../lib/settings');
+
+const PUBKEY = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIPkVUGTAnBg0dq8CzRxl1yVtIpzL8EMK9KQtJx5G7MYF test';
+
+describe('CLI', () => {
+  describe('parseArgs', () => {
+    it('should default to the run command', () => {
+      expect(parseArgs([]).command).toBe('run');
+      expect(parseArgs(['--port', '2200']).command).toBe('run');
+    });
+
+    it('should map setting flags to overrides', () => {
+      const { command, overrides } = parseArgs(['status', '--port', '2200', '--listen=0.0.0.0', '--pinggy-enabled']);
+
+      expect(command).toBe('status');
+      expect(overrides).toEqual({
+        'ssh.port': '2200',
+        'ssh.listenAddress': '0.0.0.0',
+        'tunnels.pinggy.enabled': true,
+      });
+    });
+
+    it('should support negated and explicit boolean values', () => {
+      expect(parseArgs(['--no-tailscale-ssh']).overrides['tunnels.tailscale.ssh']).toBe(false);
+      expect(parseArgs(['--wait=false']).overrides['wait.enabled']).toBe(false);
+    });
+
+    it('should collect CLI-only flags', () => {
+      const { flags } = parseArgs(['prune', '--older-than', '12', '--json', '-h']);
+      expect(flags).toEqual({ olderThan: '12', json: true, help: true });
+    });
+
+    it('should reject invalid usage', () => {
+      expect(() => parseArgs(['--bogus'])).toThrow(/Unknown option/);
+      expect(() => parseArgs(['frob'])).toThrow(/Unknown command/);
+      expect(() => parseArgs(['--port'])).toThrow(/requires a value/);
+      expect(() => parseArgs(['--timeout-port', 'soon'])).toThrow(/whole number/);
+      expect(() => parseArgs(['--no-port'])).toThrow(/Unknown option/);
+    });
+  });
+
+  it('should list every setting in --help', () => {
+    const help = formatHelp();
+
+    for (const spec of SETTINGS) {
+      expect(help).toContain(`--${spec.flag}`);
+    }
+    expect(help).toContain('--reverse-ssh-host');
+  });
+
+  describe('main', () => {
+    const saved = {};
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-cli-'));
+      saved.env = { ...process.env };
+      process.env.HOME = tmpDir;
+    });
+
+    afterEach(() => {
+      process.env = saved.env;
+      jest.restoreAllMocks();
+      config.load();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Captures console.log, silences everything else
+    const captureOutput = () => {
+      const stdout = [];
+      jest.spyOn(console, 'log').mockImplementation(text => stdout.push(text));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      return stdout;
+    };
+
+    it('should print only the JSON report on stdout for run --output json', async () => {
+      const stdout = captureOutput();
+      const log = console.log;
+      const stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      const code = await main(['run', '--output', 'json', '--dry-run', '--no-wait', '--pubkey', PUBKEY]);
+
+      expect(code).toBe(0);
+      expect(stdoutWrite).not.toHaveBeenCalled();
+      expect(stdout).toHaveLength(1);
+      expect(JSON.parse(stdout[0])).toMatchObject({ version: 1, success: true, dryRun: true });
+      expect(console.log).toBe(log);
+    });
+
+    it('should treat run --json as --output json and reject it where it has no meaning', async () => {
+      const stdout = captureOutput();
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      expect(await main(['run', '--json', '--dry-run', '--no-wait', '--pubkey', PUBKEY])).toBe(0);
+      expect(stdout).toHaveLength(1);
+      expect(JSON.parse(stdout[0])).toMatchObject({ success: true, dryRun: true });
+
+      expect(await main(['run', '--json', '--output', 'text'])).toBe(2);
+      expect(await main(['supervise', '--json'])).toBe(2);
+    });
+
+    it('should accept flags of providers loaded by the --config file', async () => {
+      const stdout = captureOutput();
+      const providerFile = path.join(tmpDir, 'jumphost.js');
+      fs.writeFileSync(
+        providerFile,
+        `module.exports = ({ register, BaseTunnel }) => {
+          register({ id: 'jumphost', displayName: 'Jumphost', TunnelClass: class extends BaseTunnel {}, schema: { host: {} } });
+        };`
+      );
+      const configFile = path.join(tmpDir, 'setup-ssh.json');
+      fs.writeFileSync(configFile, JSON.stringify({ tunnelProviders: [providerFile] }));
+
+      const args = ['--config', configFile, '--state-file', path.join(tmpDir, 'state.json'), '--json'];
+      const code = await main(['status', ...args, '--jumphost-host', 'jump.example.com']);
+
+      expect(code).toBe(1);
+      expect(JSON.parse(stdout[0])).toMatchObject({ active: false });
+      expect(config.tunnels.jumphost.host).toBe('jump.example.com');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * cloudflare.test.js - Unit tests for the Cloudflare tunnel provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const utils = require('../lib/utils');
+const CloudflareTunnel = require('../lib/tunnels/cloudflare');
+
+const TUNNEL_ID = '6ff42ae2-765d-4adf-8112-31c55c1551ef';
+
+// cert.pem of `cloudflared tunnel login`
+const ORIGIN_CERT = [
+  '-----BEGIN ARGO TUNNEL TOKEN-----',
+  Buffer.from(JSON.stringify({ zoneID: 'zone1', accountID: 'acc1', apiToken: 'token1' })).toString('base64'),
+  '-----END ARGO TUNNEL TOKEN-----',
+].join('\n');
+
+// cloudflared output of a quick tunnel that connected after failed attempts to reach the quick tunnel API
+const QUICK_TUNNEL_LOG = [
+  '2026-03-02T10:00:00Z INF Thank you for trying Cloudflare Tunnel. Doing so, without a Cloudflare account, is a quick way to experiment and try it out.',
+  '2026-03-02T10:00:00Z INF Requesting new quick Tunnel on trycloudflare.com...',
+  '2026-03-02T10:00:01Z ERR Error unmarshaling QuickTunnel response: error="invalid character \'<\'" url=https://api.trycloudflare.com/tunnel',
+  '2026-03-02T10:00:01Z ERR failed to request quick Tunnel: Post "https://api.trycloudflare.com/tunnel": context deadline exceeded',
+  '2026-03-02T10:00:03Z INF +--------------------------------------------------------------------------------------------+',
+  '2026-03-02T10:00:03Z INF |  Your quick Tunnel has been created! Visit it at (it may take some time to be reachable):  |',
+  '2026-03-02T10:00:03Z INF |  https://wool-ranked-gentle-harbor.trycloudflare.com                                        |',
+  '2026-03-02T10:00:03Z INF +--------------------------------------------------------------------------------------------+',
+  '2026-03-02T10:00:04Z INF Registered tunnel connection connIndex=0 connection=8c2b location=fra08 protocol=quic',
+].join('\n');
+
+describe('CloudflareTunnel', () => {
+  const saved = {};
+  let tmpDir;
+  let fakeUtils;
+  let hostrunner;
+
+  const createTunnel = (settings = {}) => {
+    const cloudflare = { enabled: true, apiKey: ORIGIN_CERT, zone: 'example.com', pruneAge: 24, ...settings };
+    const tunnelConfig = Object.assign(Object.create(config), { tunnels: { cloudflare } });
+    return new CloudflareTunnel(tunnelConfig, fakeUtils, hostrunner);
+  };
+
+  const apiResponse = result => ({ ok: true, status: 200, json: async () => ({ success: true, result }) });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-cf-'));
+    saved.home = process.env.HOME;
+    saved.level = logger.level;
+    process.env.HOME = tmpDir;
+    logger.setLevel('silent');
+
+    fakeUtils = {
+      ...utils,
+      isDryRun: () => false,
+      commandExists: () => true,
+      run: jest.fn(),
+      runCapture: jest.fn(() => '[]'),
+      spawnDetached: jest.fn(() => 4242),
+      writePidFile: jest.fn(),
+      writeFileSafe: jest.fn(),
+      ensureDir: jest.fn(),
+    };
+    hostrunner = { getRepoName: () => 'my-app', getRunnerId: () => '123456789', setPipelineVar: jest.fn() };
+  });
+
+  afterEach(() => {
+    process.env.HOME = saved.home;
+    logger.setLevel(saved.level);
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should start a quick tunnel without API key', async () => {
+    fs.writeFileSync(
+      path.join(tmpDir, 'cloudflared.log'),
+      'INF |  https://plain-words-example-tunnel.trycloudflare.com  |\n'
+    );
+    const tunnel = createTunnel({ apiKey: null });
+
+    const result = await tunnel.start('2222', tmpDir);
+
+    expect(fakeUtils.spawnDetached).toHaveBeenCalledWith(
+      'cloudflared',
+      ['tunnel', '--no-autoupdate', '--url', 'tcp://localhost:2222'],
+      path.join(tmpDir, 'cloudflared.log')
+    );
+    expect(result.endpoint).toBe('plain-words-example-tunnel.trycloudflare.com');
+    expect(result.tunnelId).toBeNull();
+  });
+
+  it('should parse the quick tunnel hostname after errors that mention the quick tunnel API', async () => {
+    const logFile = path.join(tmpDir, 'cloudflared.log');
+    fs.writeFileSync(logFile, QUICK_TUNNEL_LOG.split('\n').slice(0, 4).join('\n'));
+    const tunnel = createTunnel({ apiKey: null });
+
+    expect(tunnel.restore({ logFile }).readEndpointFromLog()).toBeNull();
+
+    fs.writeFileSync(logFile, QUICK_TUNNEL_LOG);
+    const result = await tunnel.start('2222', tmpDir);
+
+    expect(result.endpoint).toBe('wool-ranked-gentle-harbor.trycloudflare.com');
+    expect(await tunnel.getConnectCommand()).toContain('wool-ranked-gentle-harbor.trycloudflare.com');
+  });
+
+  it('should create a named tunnel, route its hostname without overwriting and delete both on cleanup', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'cloudflared.log'), 'INF Registered tunnel connection connIndex=0\n');
+    fakeUtils.runCapture.mockImplementation(cmd =>
+      cmd.startsWith('cloudflared tunnel create') ? `Created tunnel my-app-123456789 with id ${TUNNEL_ID}` : '[]'
+    );
+    const tunnel = createTunnel();
+
+    const result = await tunnel.start('2222', tmpDir);
+
+    expect(result).toMatchObject({
+      tunnelName: 'my-app-123456789',
+      tunnelId: TUNNEL_ID,
+      ephemeral: true,
+      routedHostname: 'my-app-123456789.example.com',
+      endpoint: 'my-app-123456789.example.com',
+    });
+    expect(fakeUtils.run).toHaveBeenCalledWith(
+      `cloudflared tunnel route dns ${TUNNEL_ID} my-app-123456789.example.com`
+    );
+
+    const fetchMock = jest
+      .spyOn(global, 'fetch')
+      .mockResolvedValueOnce(apiResponse([{ id: 'rec1', content: `${TUNNEL_ID}.cfargotunnel.com` }]))
+      .mockResolvedValueOnce(apiResponse({ id: 'rec1' }));
+
+    const restored = createTunnel().restore(result);
+    expect(await restored.cleanup()).toBe(true);
+
+    expect(fetchMock).toHaveBeenLastCalledWith(
+      'https://api.cloudflare.com/client/v4/zones/zone1/dns_records/rec1',
+      expect.objectContaining({ method: 'DELETE', headers: { Authorization: 'Bearer token1' } })
+    );
+    expect(fakeUtils.run).toHaveBeenLastCalledWith(`cloudflared tunnel delete -f ${TUNNEL_ID}`);
+  });
+
+  it('should replace an existing DNS record only when asked to', () => {
+    const tunnel = createTunnel({ overwriteDns: true });
+    tunnel.tunnelId = TUNNEL_ID;
+
+    tunnel.routeDns('ssh.example.com');
+    expect(fakeUtils.run).toHaveBeenCalledWith(
+      `cloudflared tunnel route dns --overwrite-dns ${TUNNEL_ID} ssh.example.com`
+    );
+
+    fakeUtils.run.mockImplementation(() => {
+      throw new Error('An A, AAAA, or CNAME record with that host already exists');
+    });
+    expect(() => createTunnel().routeDns('ssh.example.com')).toThrow(/CLOUDFLARED_OVERWRITE_DNS=1/);
+  });
+
+  it('should prune only generated names of this repository that were not kept', async () => {
+    const old = '2026-01-01T00:00:00Z';
+    fakeUtils.runCapture.mockReturnValue(
+      JSON.stringify([
+        { id: 'a', name: 'my-app-111', created_at: old },
+        { id: 'b', name: 'my-app-kept-222', created_at: old },
+        { id: 'c', name: 'my-app-api-333', created_at: old },
+        { id: 'd', name: 'my-app-444', created_at: new Date().toISOString() },
+        { id: 'e', name: 'my-app-555', created_at: old },
+        { id: 'f', name: 'my-app-666', created_at: old },
+      ])
+    );
+    jest.spyOn(global, 'fetch').mockResolvedValue(apiResponse([]));
+
+    const deleted = await createTunnel({ tunnelName: 'my-app-666' }).prune({ exclude: ['e'] });
+
+    expect(deleted).toEqual(['my-app-111']);
+    expect(fakeUtils.run).toHaveBeenCalledTimes(1);
+    expect(fakeUtils.run).toHaveBeenCalledWith('cloudflared tunnel delete -f a');
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('dns_records?type=CNAME&name=my-app-111.example.com'),
+      expect.anything()
+    );
+  });
+
+  it('should mark generated names of kept tunnels', () => {
+    expect(createTunnel({ keepTunnel: true }).generateTunnelName()).toBe('my-app-kept-123456789');
+  });
+});
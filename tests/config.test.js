@@ -0,0 +1,167 @@
+/**
+ * config.test.js - Unit tests for config file loading and precedence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Config } = require('../lib/config');
+const logger = require('../lib/logger');
+const { parseYaml } = require('../lib/config-file');
+
+describe('Config', () => {
+  describe('parseYaml', () => {
+    it('should parse nested mappings and scalars', () => {
+      const data = parseYaml('ssh:\n  port: 2200 # comment\n  mode: "user"\nwait:\n  enabled: true\n');
+      expect(data).toEqual({ ssh: { port: 2200, mode: 'user' }, wait: { enabled: true } });
+    });
+
+    it('should parse block and flow lists', () => {
+      const data = parseYaml('allowUsers:\n- alice\n- bob\nproviders: [a, b]\n');
+      expect(data).toEqual({ allowUsers: ['alice', 'bob'], providers: ['a', 'b'] });
+    });
+
+    it('should keep commas inside quoted flow list items', () => {
+      const data = parseYaml(`users: ["a,b", c, 'd, e', "f\\",g"]\n`);
+      expect(data.users).toEqual(['a,b', 'c', 'd, e', 'f",g']);
+    });
+
+    it('should parse literal block scalars', () => {
+      const data = parseYaml('template: |\n  Port 22\n  # not a comment\nnext: 1\n');
+      expect(data.template).toBe('Port 22\n# not a comment\n');
+      expect(data.next).toBe(1);
+    });
+
+    it('should report unsupported syntax with line number', () => {
+      expect(() => parseYaml('a:\n  b: { c: 1 }\n', 'x.yml')).toThrow(/x\.yml:2/);
+      expect(() => parseYaml('a:\n\tb: 1\n')).toThrow(/Tabs/);
+    });
+  });
+
+  describe('precedence', () => {
+    const envKeys = ['SSH_PORT', 'PINGGY_ENABLE', 'SETUP_SSH_CONFIG', 'SETUP_SSH_PROFILE'];
+    let tmpDir;
+    let file;
+    let savedEnv;
+
+    beforeEach(() => {
+      savedEnv = Object.fromEntries(envKeys.map(k => [k, process.env[k]]));
+      envKeys.forEach(k => delete process.env[k]);
+
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-config-'));
+      file = path.join(tmpDir, 'setup-ssh.yml');
+      fs.writeFileSync(
+        file,
+        [
+          'ssh:',
+          '  port: 2200',
+          '  mode: user',
+          'tunnels:',
+          '  pinggy:',
+          '    enabled: true',
+          'profiles:',
+          '  demo:',
+          '    ssh:',
+          '      port: 2300',
+        ].join('\n')
+      );
+    });
+
+    afterEach(() => {
+      for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should read values from the config file', () => {
+      const config = new Config().load({ file });
+
+      expect(config.ssh.port).toBe('2200');
+      expect(config.tunnels.pinggy.enabled).toBe(true);
+      expect(config.sources['ssh.port']).toBe('file');
+      expect(config.sources['ssh.listenAddress']).toBe('default');
+    });
+
+    it('should apply CLI > env > profile > file', () => {
+      const config = new Config();
+
+      expect(config.load({ file, profile: 'demo' }).ssh.port).toBe('2300');
+
+      process.env.SSH_PORT = '2400';
+      expect(config.load({ file, profile: 'demo' }).ssh.port).toBe('2400');
+      expect(config.sources['ssh.port']).toBe('env');
+
+      expect(config.load({ file, profile: 'demo', overrides: { 'ssh.port': '2500' } }).ssh.port).toBe('2500');
+      expect(config.sources['ssh.port']).toBe('cli');
+    });
+
+    it('should reject unknown profiles', () => {
+      expect(() => new Config().load({ file, profile: 'nope' })).toThrow(/available: demo/);
+    });
+
+    it('should report unknown settings on validate', () => {
+      const jsonFile = path.join(tmpDir, 'setup-ssh.json');
+      fs.writeFileSync(jsonFile, JSON.stringify({ ssh: { prot: 1 } }));
+      const config = new Config().load({ file: jsonFile });
+      config.ssh.publicKey = 'ssh-ed25519 AAAA test';
+
+      expect(() => config.validate()).toThrow(/Unknown setting 'ssh\.prot'/);
+    });
+  });
+
+  describe('schema', () => {
+    const envKeys = ['SSH_PORT', 'SSH_MODE', 'SSH_PORT_TIMEOUT', 'PINGGY_TARGET_PORT', 'SSHJ_DEVICE_PORT'];
+    let savedEnv;
+
+    beforeEach(() => {
+      savedEnv = Object.fromEntries(envKeys.map(k => [k, process.env[k]]));
+    });
+
+    afterEach(() => {
+      for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    it('should report all invalid values at once', () => {
+      process.env.PINGGY_TARGET_PORT = 'abc';
+      process.env.SSHJ_DEVICE_PORT = '99999';
+      process.env.SSH_PORT_TIMEOUT = '10';
+      const config = new Config();
+      config.ssh.publicKey = 'ssh-ed25519 AAAA test';
+
+      expect(config.tunnels.pinggy.targetPort).toBeNull();
+      expect(() => config.validate()).toThrow(/PINGGY_TARGET_PORT must be a whole number \(got 'abc'\)/);
+      expect(config.errors).toHaveLength(3);
+      expect(config.errors).toContain("SSHJ_DEVICE_PORT must be between 1 and 65535 (got '99999')");
+    });
+
+    it('should normalize enum values', () => {
+      process.env.SSH_MODE = 'User';
+      expect(new Config().ssh.mode).toBe('user');
+
+      process.env.SSH_MODE = 'admin';
+      expect(new Config().errors).toEqual(["SSH_MODE must be one of: auto, root, user (got 'admin')"]);
+    });
+
+    it('should suggest names for misspelled env vars', () => {
+      const warnings = new Config().checkEnv({ PINGGY_ENABLED: '1', SSH_AUTH_SOCK: '/tmp/agent', SSH_PORT: '22' });
+      expect(warnings).toEqual(['Unknown environment variable PINGGY_ENABLED (did you mean PINGGY_ENABLE?)']);
+    });
+
+    it('should mask secrets in the summary', () => {
+      const config = new Config().load({ overrides: { 'tunnels.cloudflare.apiKey': 'top-secret' } });
+      expect(config.formatValue('tunnels.cloudflare.apiKey')).toBe('********');
+    });
+
+    it('should register secret values and RTDB auth tokens with the logger', () => {
+      new Config().load({ overrides: { 'persistence.rtdb.url': 'https://db.example.com/runs?auth=tok3n' } });
+
+      expect(logger.maskMessage('PATCH https://db.example.com/runs?auth=tok3n')).toBe('PATCH ********');
+      expect(logger.maskMessage('token tok3n')).toBe('token ********');
+    });
+  });
+});
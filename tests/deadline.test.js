@@ -0,0 +1,60 @@
+/**
+ * deadline.test.js - Unit tests for the CI job deadline
+ */
+
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const { getDeadline, createWarner } = require('../lib/deadline');
+
+describe('Deadline', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    saved.env = { ...process.env };
+    saved.jobTimeout = config.timeouts.job;
+    for (const name of ['GITHUB_ACTIONS', 'TF_BUILD', 'GITLAB_CI', 'BUILDKITE']) {
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    process.env = saved.env;
+    config.timeouts.job = saved.jobTimeout;
+    jest.restoreAllMocks();
+  });
+
+  it('should prefer the platform deadline, then the state file, then JOB_TIMEOUT', () => {
+    config.timeouts.job = 600000;
+    process.env.GITLAB_CI = 'true';
+    process.env.CI_JOB_STARTED_AT = '2026-01-01T10:00:00Z';
+    process.env.CI_JOB_TIMEOUT = '3600';
+
+    expect(getDeadline()).toEqual({ endsAt: new Date('2026-01-01T11:00:00Z'), source: 'GitLab CI' });
+    expect(getDeadline({ sessionEndsAt: '2026-01-01T12:00:00.000Z' }).source).toBe('state');
+
+    delete process.env.GITLAB_CI;
+    const deadline = getDeadline();
+    expect(deadline.source).toBe('JOB_TIMEOUT');
+    expect(deadline.endsAt.getTime()).toBeGreaterThan(Date.now());
+
+    config.timeouts.job = null;
+    expect(getDeadline()).toBeNull();
+  });
+
+  it('should warn once per threshold as the deadline approaches', () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const endsAt = new Date('2026-01-01T11:00:00Z');
+    const warnDeadline = createWarner({ endsAt, source: 'test' });
+    const at = minutes => endsAt.getTime() - minutes * 60000;
+
+    expect(warnDeadline(at(30))).toBe(30 * 60000);
+    warnDeadline(at(14));
+    warnDeadline(at(10));
+    warnDeadline(at(0.5));
+    warnDeadline(at(0));
+
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn.mock.calls[0][0]).toMatch(/ends in 14m 0s \(2026-01-01T11:00:00.000Z\)/);
+    expect(createWarner(null)()).toBe(Infinity);
+  });
+});
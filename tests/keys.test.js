@@ -0,0 +1,82 @@
+/**
+ * keys.test.js - Unit tests for SSH public key helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keys = require('../lib/keys');
+
+const ED25519_KEY = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIPkVUGTAnBg0dq8CzRxl1yVtIpzL8EMK9KQtJx5G7MYF ci@example';
+
+/**
+ * Base64 key blob in SSH wire format (length-prefixed fields)
+ */
+function blob(...fields) {
+  const parts = fields.flatMap(field => {
+    const data = Buffer.isBuffer(field) ? field : Buffer.from(field);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return [length, data];
+  });
+  return Buffer.concat(parts).toString('base64');
+}
+
+// RSA modulus with the top bit set, so that it has exactly `bits` bits
+function modulus(bits) {
+  return Buffer.concat([Buffer.from([0, 0x80]), Buffer.alloc(bits / 8 - 1, 1)]);
+}
+
+describe('Keys Module', () => {
+  it('should parse type, data and comment', () => {
+    expect(keys.parsePublicKey(ED25519_KEY)).toEqual({
+      type: 'ssh-ed25519',
+      data: 'AAAAC3NzaC1lZDI1NTE5AAAAIPkVUGTAnBg0dq8CzRxl1yVtIpzL8EMK9KQtJx5G7MYF',
+      comment: 'ci@example',
+    });
+    expect(keys.parsePublicKey('ssh-ed25519 not-base64!')).toBeNull();
+  });
+
+  it('should compute fingerprints like ssh-keygen -l', () => {
+    expect(keys.fingerprint(ED25519_KEY)).toBe('SHA256:7Ygyv50TxNuSKnV0Ap1E+b2WdoLO4TBDtnhlGSLczco');
+  });
+
+  it('should parse authorized_keys lines with options and security key types', () => {
+    const skKey = `sk-ssh-ed25519@openssh.com ${blob('sk-ssh-ed25519@openssh.com', Buffer.alloc(32, 7), 'ssh:')}`;
+
+    expect(keys.parseAuthorizedKey(`command="echo a b",no-pty ${ED25519_KEY}`)).toMatchObject({
+      options: 'command="echo a b",no-pty',
+      type: 'ssh-ed25519',
+      comment: 'ci@example',
+      fingerprint: 'SHA256:7Ygyv50TxNuSKnV0Ap1E+b2WdoLO4TBDtnhlGSLczco',
+      error: null,
+    });
+    expect(keys.parseAuthorizedKey(`${skKey} yubikey`)).toMatchObject({ comment: 'yubikey', error: null });
+    expect(keys.parseAuthorizedKey('  # comment')).toBeNull();
+  });
+
+  it('should reject mismatched and weak keys', () => {
+    const reason = line => keys.parseAuthorizedKey(line).error;
+    const rsa = bits => `ssh-rsa ${blob('ssh-rsa', Buffer.from([1, 0, 1]), modulus(bits))}`;
+
+    expect(reason(`ssh-rsa ${ED25519_KEY.split(' ')[1]}`)).toBe('key data is a ssh-ed25519 key, not ssh-rsa');
+    expect(reason('ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAI')).toBe('truncated key data');
+    expect(reason('ssh-foo AAAA')).toMatch(/^no supported key type/);
+    expect(reason(`ssh-dss ${blob('ssh-dss', modulus(1024), 'q', 'g', 'y')}`)).toMatch(/DSA keys are insecure/);
+    expect(reason(rsa(1024))).toBe('RSA key has 1024 bits, at least 2048 are required');
+    expect(keys.parseAuthorizedKey(rsa(2048))).toMatchObject({ bits: 2048, error: null });
+  });
+
+  it('should read public key files', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-keys-'));
+    const file = path.join(tmpDir, 'ssh_host_ed25519_key.pub');
+    fs.writeFileSync(file, `${ED25519_KEY}\n`);
+
+    try {
+      expect(keys.readPublicKeyFile(file)).toMatchObject({ file, type: 'ssh-ed25519' });
+      expect(keys.readPublicKeyFile(path.join(tmpDir, 'missing.pub'))).toBeNull();
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * logger.test.js - Unit tests for JSON-lines logging and the log file sink
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+
+describe('Logger', () => {
+  let tmpDir;
+  let logger;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-logger-'));
+    logger = new Logger('info', false);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logger.setFile(null);
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should print JSON lines with the component split from the message', () => {
+    logger.configure({ format: 'json' });
+    logger.info('[Pinggy] Tunnel started', { pid: 42 });
+
+    const entry = JSON.parse(console.log.mock.calls[0][0]);
+    expect(entry).toMatchObject({ level: 'info', component: 'Pinggy', message: 'Tunnel started', meta: { pid: 42 } });
+    expect(Date.parse(entry.timestamp)).not.toBeNaN();
+  });
+
+  it('should write debug entries to the log file below the console level', () => {
+    const file = path.join(tmpDir, 'logs', 'setup-ssh.jsonl');
+    logger.configure({ file });
+
+    logger.debug('Executing: whoami');
+    logger.success('Configuration valid');
+
+    const entries = fs
+      .readFileSync(file, 'utf8')
+      .trim()
+      .split('\n')
+      .map(line => JSON.parse(line));
+    expect(entries.map(e => [e.level, e.message])).toEqual([
+      ['debug', 'Executing: whoami'],
+      ['info', 'Configuration valid'],
+    ]);
+    expect(console.log).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mask secrets on the console and in the log file', () => {
+    const file = path.join(tmpDir, 'setup-ssh.jsonl');
+    logger.configure({ format: 'json', file });
+    logger.registerSecret('s3cr3t-topic');
+
+    logger.info('Publishing to ntfy.sh/s3cr3t-topic', { url: 'https://ntfy.sh/s3cr3t-topic' });
+
+    expect(console.log.mock.calls[0][0]).not.toContain('s3cr3t-topic');
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('s3cr3t-topic');
+  });
+
+  it('should announce registered secrets to the CI runner once', () => {
+    const saved = process.env.GITHUB_ACTIONS;
+    process.env.GITHUB_ACTIONS = 'true';
+    const write = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+    try {
+      logger.registerSecret('abcd');
+      logger.registerSecret('abcd');
+      logger.registerSecret('-----BEGIN KEY-----\nb3BlbnNzaA\n');
+    } finally {
+      if (saved === undefined) delete process.env.GITHUB_ACTIONS;
+      else process.env.GITHUB_ACTIONS = saved;
+    }
+
+    expect(write.mock.calls.map(call => call[0])).toEqual([
+      '::add-mask::abcd\n',
+      '::add-mask::-----BEGIN KEY-----\n',
+      '::add-mask::b3BlbnNzaA\n',
+    ]);
+    expect(logger.maskMessage('topic abcd, key b3BlbnNzaA')).toBe('topic ********, key ********');
+  });
+
+  describe('CI log groups and annotations', () => {
+    const saved = {};
+
+    beforeEach(() => {
+      saved.github = process.env.GITHUB_ACTIONS;
+      saved.azure = process.env.TF_BUILD;
+      delete process.env.TF_BUILD;
+      process.env.GITHUB_ACTIONS = 'true';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      for (const [name, value] of [
+        ['GITHUB_ACTIONS', saved.github],
+        ['TF_BUILD', saved.azure],
+      ]) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    it('should turn sections into groups and keep the summary outside', () => {
+      logger.section('Starting Tunnels');
+      logger.info('Starting Pinggy tunnel...');
+      logger.section('Setup Summary', { group: false });
+
+      const lines = console.log.mock.calls.map(call => call[0]);
+      expect(lines[0]).toBe('::group::📌 Starting Tunnels');
+      expect(lines[2]).toBe('::endgroup::');
+      expect(lines.slice(3).join('\n')).toContain('📌 Setup Summary');
+    });
+
+    it('should print warnings as annotations titled with the component', () => {
+      logger.warn('[Pinggy] Endpoint not found: 100%\nretrying');
+
+      expect(console.warn).toHaveBeenCalledWith('::warning title=Pinggy::Endpoint not found: 100%25%0Aretrying');
+    });
+
+    it('should use Azure logging commands on Azure Pipelines', () => {
+      delete process.env.GITHUB_ACTIONS;
+      process.env.TF_BUILD = 'True';
+
+      logger.section('Teardown');
+      logger.endGroup();
+      logger.warn('[Tailscale] Logout failed');
+
+      expect(console.log.mock.calls.map(call => call[0])).toEqual(['##[group]📌 Teardown', '##[endgroup]']);
+      expect(console.warn).toHaveBeenCalledWith('##vso[task.logissue type=warning][Tailscale] Logout failed');
+    });
+  });
+});
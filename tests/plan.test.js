@@ -0,0 +1,62 @@
+/**
+ * plan.test.js - Unit tests for the dry-run execution plan
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const plan = require('../lib/plan');
+const utils = require('../lib/utils');
+
+describe('Plan Module', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-plan-'));
+  });
+
+  afterEach(() => {
+    plan.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should record side effects instead of performing them', async () => {
+    plan.start();
+    const filePath = path.join(tmpDir, 'nested', 'config');
+
+    utils.writeFileSafe(filePath, 'Port 2222\n');
+    utils.run('touch should-not-exist');
+    const pid = utils.spawnDetached('sshd', ['-D'], path.join(tmpDir, 'sshd.log'));
+    await utils.downloadBinary('https://example.com/bin', path.join(tmpDir, 'bin'));
+
+    expect(pid).toBeNull();
+    expect(fs.existsSync(path.join(tmpDir, 'nested'))).toBe(false);
+    expect(fs.existsSync(path.join(tmpDir, 'sshd.log'))).toBe(false);
+    expect(plan.getSteps().map(step => step.type)).toEqual(['directory', 'file', 'command', 'process', 'download']);
+    expect(plan.getSteps()[1]).toMatchObject({ path: filePath, content: 'Port 2222\n', mode: 0o600 });
+  });
+
+  it('should mask secrets in recorded steps', () => {
+    plan.start({ secrets: ['hunter2-token'] });
+
+    utils.run('login --token hunter2-token --id abc', { maskPatterns: [/--id \S+/] });
+
+    expect(plan.getSteps()[0].command).toBe('login --token ******** ****');
+  });
+
+  it('should write the plan as JSON', () => {
+    plan.start();
+    utils.run('echo hi');
+    const file = plan.writeJson(path.join(tmpDir, 'plan.json'));
+
+    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(document.version).toBe(plan.PLAN_VERSION);
+    expect(document.steps).toEqual([{ step: 1, type: 'command', command: 'echo hi' }]);
+  });
+
+  it('should not record without an active plan', () => {
+    expect(plan.isActive()).toBe(false);
+    plan.record('command', { command: 'ignored' });
+    expect(plan.getSteps()).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * platforms.test.js - Unit tests for CI platform adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectPlatform,
+  GithubPlatform,
+  CircleciPlatform,
+  GitlabPlatform,
+  BuildkitePlatform,
+  DronePlatform,
+} = require('../lib/platforms');
+
+describe('Platforms', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-platforms-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should detect each platform with repo name, run ID and workspace', () => {
+    const cases = [
+      [{ GITHUB_ACTIONS: 'true', GITHUB_REPOSITORY: 'org/app', GITHUB_RUN_ID: '7', GITHUB_WORKSPACE: '/w' }, 'github'],
+      [{ TF_BUILD: 'True', BUILD_REPOSITORY_NAME: 'app', AGENT_ID: '7', BUILD_SOURCESDIRECTORY: '/w' }, 'azure'],
+      [{ GITLAB_CI: 'true', CI_PROJECT_NAME: 'app', CI_JOB_ID: '7', CI_PROJECT_DIR: '/w' }, 'gitlab'],
+      [
+        { CIRCLECI: 'true', CIRCLE_PROJECT_REPONAME: 'app', CIRCLE_BUILD_NUM: '7', CIRCLE_WORKING_DIRECTORY: '/w' },
+        'circleci',
+      ],
+      [
+        { JENKINS_URL: 'https://ci', GIT_URL: 'https://git/org/app.git', BUILD_NUMBER: '7', WORKSPACE: '/w' },
+        'jenkins',
+      ],
+      [
+        {
+          BUILDKITE: 'true',
+          BUILDKITE_PIPELINE_SLUG: 'app',
+          BUILDKITE_BUILD_NUMBER: '7',
+          BUILDKITE_BUILD_CHECKOUT_PATH: '/w',
+        },
+        'buildkite',
+      ],
+      [{ BITBUCKET_BUILD_NUMBER: '7', BITBUCKET_REPO_SLUG: 'app', BITBUCKET_CLONE_DIR: '/w' }, 'bitbucket'],
+      [{ DRONE: 'true', DRONE_REPO_NAME: 'app', DRONE_BUILD_NUMBER: '7', DRONE_WORKSPACE: '/w' }, 'drone'],
+      [
+        { CI: 'woodpecker', DRONE: 'true', CI_REPO_NAME: 'app', CI_PIPELINE_NUMBER: '7', CI_WORKSPACE: '/w' },
+        'woodpecker',
+      ],
+    ];
+
+    for (const [env, id] of cases) {
+      const platform = detectPlatform(env);
+      expect([platform.id, platform.repoName(), platform.runId(), platform.workspace()]).toEqual([
+        id,
+        'app',
+        '7',
+        '/w',
+      ]);
+    }
+    expect(detectPlatform({ CI: 'true' })).toBeNull();
+  });
+
+  it('should export variables to BASH_ENV on CircleCI', () => {
+    const bashEnv = path.join(tmpDir, 'bash_env');
+    new CircleciPlatform({ CIRCLECI: 'true', BASH_ENV: bashEnv }).exportVariable('SSH_CMD', "ssh -o 'X=1' me@host");
+
+    expect(fs.readFileSync(bashEnv, 'utf8')).toBe("export SSH_CMD='ssh -o '\\''X=1'\\'' me@host'\n");
+  });
+
+  it('should write setup-ssh.env to the workspace', () => {
+    new GitlabPlatform({ CI_PROJECT_DIR: tmpDir }).exportVariable('PINGGY_ENDPOINT', 'tcp://a.pinggy.link:1');
+    new DronePlatform({ DRONE_WORKSPACE: tmpDir }).exportVariable('PINGGY_SSH_COMMAND', 'ssh -p 1 me@a.pinggy.link');
+
+    expect(fs.readFileSync(path.join(tmpDir, 'setup-ssh.env'), 'utf8')).toBe(
+      "PINGGY_ENDPOINT=tcp://a.pinggy.link:1\nexport PINGGY_SSH_COMMAND='ssh -p 1 me@a.pinggy.link'\n"
+    );
+    expect(() => new GitlabPlatform({ CI_PROJECT_DIR: tmpDir }).exportVariable('X', 'a\nb')).toThrow(/multi-line/);
+  });
+
+  it('should expose actor, run URL and log commands', () => {
+    const github = new GithubPlatform({ GITHUB_REPOSITORY: 'org/app', GITHUB_RUN_ID: '7', GITHUB_ACTOR: 'octocat' });
+
+    expect(github.actor()).toBe('octocat');
+    expect(github.runUrl()).toBe('https://github.com/org/app/actions/runs/7');
+    expect(github.formatAnnotation('warning', 'a\nb', 'Pinggy')).toBe('::warning title=Pinggy::a%0Ab');
+    expect(new CircleciPlatform({}).formatGroup('Tunnels')).toBeNull();
+  });
+
+  it('should compute the job deadline from the platform timeout', () => {
+    const gitlab = new GitlabPlatform({ CI_JOB_STARTED_AT: '2026-01-01T10:00:00Z', CI_JOB_TIMEOUT: '3600' });
+    const buildkite = new BuildkitePlatform({ BUILDKITE_TIMEOUT: '30' });
+
+    expect(gitlab.jobDeadline().toISOString()).toBe('2026-01-01T11:00:00.000Z');
+    expect(buildkite.jobDeadline().getTime() - buildkite.jobStartedAt().getTime()).toBe(30 * 60000);
+    expect(new GithubPlatform({}).jobDeadline()).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * registry.test.js - Unit tests for tunnel provider registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registry, BaseTunnel } = require('../lib/tunnels');
+
+describe('Tunnel Registry', () => {
+  it('should register built-in providers in startup order', () => {
+    expect(registry.list().map(p => p.id)).toEqual(expect.arrayContaining(['pinggy', 'sshj', 'cloudflare']));
+  });
+
+  it('should find providers by id or display name', () => {
+    expect(registry.get('sshj')).toBe(registry.get('SSH-J'));
+    expect(registry.get('nope')).toBeNull();
+  });
+
+  it('should derive env names from prefix and key', () => {
+    const pinggy = registry.get('pinggy');
+    expect(pinggy.schema.enabled.env).toBe('PINGGY_ENABLE');
+    expect(pinggy.schema.targetHost.env).toBe('PINGGY_TARGET_HOST');
+  });
+
+  it('should reject providers without a BaseTunnel subclass', () => {
+    expect(() => registry.register({ id: 'broken', TunnelClass: class {} })).toThrow(/BaseTunnel subclass/);
+    expect(() => registry.register({ id: 'Bad Id', TunnelClass: class extends BaseTunnel {} })).toThrow(/Invalid/);
+  });
+
+  it('should load third-party providers from a package path', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-provider-'));
+    const file = path.join(dir, 'bastion.js');
+    fs.writeFileSync(
+      file,
+      `module.exports = ({ register, BaseTunnel }) => {
+        class BastionTunnel extends BaseTunnel {}
+        register({ id: 'bastion', displayName: 'Bastion', TunnelClass: BastionTunnel, schema: { host: {} } });
+      };`
+    );
+
+    try {
+      const loaded = registry.loadExternal([file]);
+
+      expect(loaded.map(p => p.id)).toEqual(['bastion']);
+      expect(registry.get('bastion').schema.host.env).toBe('BASTION_HOST');
+      expect(registry.createTunnel('Bastion', {}, {}, {})).toBeInstanceOf(BaseTunnel);
+      expect(registry.loadExternal([file])).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * run.test.js - Library API of run(), exercised as a dry run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const setupSsh = require('../lib');
+const plan = require('../lib/plan');
+const state = require('../lib/state');
+const utils = require('../lib/utils');
+const ReverseSshTunnel = require('../lib/tunnels/reverse-ssh');
+const { SSHDError } = require('../lib/errors');
+
+const { config, events, logger, Session } = setupSsh;
+
+describe('run()', () => {
+  const saved = {};
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-run-'));
+    saved.home = process.env.HOME;
+    saved.level = logger.level;
+    saved.config = { dryRun: config.dryRun, publicKey: config.ssh.publicKey, tunnels: config.tunnels };
+
+    process.env.HOME = tmpDir;
+    logger.setLevel('silent');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit called');
+    });
+
+    config.dryRun = true;
+    config.ssh.publicKey = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIPkVUGTAnBg0dq8CzRxl1yVtIpzL8EMK9KQtJx5G7MYF test';
+    config.tunnels = {};
+    config.initTunnels();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    events.removeAllListeners();
+    process.env.HOME = saved.home;
+    logger.setLevel(saved.level);
+    config.dryRun = saved.config.dryRun;
+    config.ssh.publicKey = saved.config.publicKey;
+    config.tunnels = saved.config.tunnels;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should resolve with a session handle and emit lifecycle events', async () => {
+    const seen = [];
+    events.on('phase:start', ({ phase }) => seen.push(`phase:${phase}`));
+    events.on('ssh:ready', () => seen.push('ssh:ready'));
+    events.on('persist:done', () => seen.push('persist:done'));
+
+    const session = await setupSsh.run();
+
+    expect(session).toBeInstanceOf(Session);
+    expect(typeof session.stop).toBe('function');
+    expect(typeof session.status).toBe('function');
+    expect(typeof session.waitForDisconnect).toBe('function');
+    expect(session.ssh.success).toBe(true);
+    expect(session.plan.length).toBeGreaterThan(0);
+    expect(session.report).toMatchObject({ version: 1, success: true, dryRun: true, ssh: { mode: 'user' } });
+    expect(Object.keys(session.report.timing.phases)).toEqual(['ssh', 'tunnels', 'persist']);
+    expect(seen).toEqual(['phase:ssh', 'ssh:ready', 'phase:tunnels', 'phase:persist', 'persist:done']);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+
+  it('should reject with a structured error instead of exiting', async () => {
+    config.ssh.publicKey = 'not-a-key';
+
+    const error = await setupSsh.run().catch(err => err);
+
+    expect(error).toBeInstanceOf(SSHDError);
+    expect(error.report).toMatchObject({ success: false, error: { name: 'SSHDError' } });
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(plan.isActive()).toBe(false);
+  });
+
+  it('should log failed tunnels with status and error in the JSON summary', async () => {
+    Object.assign(config.tunnels['reverse-ssh'], {
+      enabled: true,
+      host: 'bastion.example.com',
+      user: 'ci',
+      hostKey: 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIPkVUGTAnBg0dq8CzRxl1yVtIpzL8EMK9KQtJx5G7MYF',
+    });
+    jest.spyOn(ReverseSshTunnel.prototype, 'start').mockRejectedValue(new Error('bastion unreachable'));
+    saved.format = config.log.format;
+    config.log.format = 'json';
+    const info = jest.spyOn(logger, 'info');
+
+    try {
+      await setupSsh.run();
+    } finally {
+      config.log.format = saved.format;
+      logger.setFormat(saved.format);
+    }
+
+    expect(info).toHaveBeenCalledWith('Setup summary', {
+      ssh: expect.objectContaining({ success: true }),
+      tunnels: [{ tunnelType: 'Reverse-SSH', status: 'failed', endpoint: null, error: 'bastion unreachable' }],
+    });
+  });
+
+  it('should keep the sshd pid in the manifest when the port never comes up', async () => {
+    jest.spyOn(utils, 'spawnDetached').mockReturnValue(4242);
+    jest.spyOn(utils, 'waitPortLocalhost').mockResolvedValue(false);
+
+    await expect(setupSsh.run()).rejects.toThrow(/Port \d+ is not listening/);
+
+    expect(state.get()).toMatchObject({
+      phase: 'failed',
+      ssh: { mode: 'user', pid: 4242, pidFile: expect.stringMatching(/sshd\.pid$/), error: expect.any(String) },
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * state.test.js - Unit tests for state module
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const state = require('../lib/state');
+
+describe('State Module', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-state-'));
+    config.stateFile = path.join(tmpDir, 'nested', 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null when no state file exists', () => {
+    expect(state.load()).toBeNull();
+  });
+
+  it('should create a new manifest on init', () => {
+    state.init();
+    const data = state.load();
+
+    expect(data.version).toBe(state.STATE_VERSION);
+    expect(data.phase).toBe('init');
+    expect(data.tunnels).toEqual([]);
+  });
+
+  it('should merge updates into the manifest', () => {
+    state.init();
+    state.update({ phase: 'ssh', ssh: { port: '2222', pid: 42 } });
+    state.update({ phase: 'tunnels', tunnels: [{ tunnelType: 'Pinggy', pid: 43 }] });
+
+    const data = state.load();
+    expect(data.phase).toBe('tunnels');
+    expect(data.ssh.pid).toBe(42);
+    expect(data.tunnels).toHaveLength(1);
+  });
+
+  it('should not leave temp files behind', () => {
+    state.init();
+    state.update({ phase: 'complete' });
+
+    expect(fs.readdirSync(path.dirname(config.stateFile))).toEqual(['state.json']);
+  });
+
+  it('should not bring back a state file removed by another process', () => {
+    state.init();
+    fs.unlinkSync(config.stateFile);
+
+    expect(state.update({ phase: 'complete' })).toBeNull();
+    expect(fs.existsSync(config.stateFile)).toBe(false);
+  });
+
+  it('should remove the state file on clear', () => {
+    state.init();
+
+    expect(state.clear()).toBe(true);
+    expect(state.load()).toBeNull();
+    expect(state.clear()).toBe(false);
+  });
+});
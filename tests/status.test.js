@@ -0,0 +1,77 @@
+/**
+ * status.test.js - Unit tests for `setup-ssh status` against a fixture manifest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const state = require('../lib/state');
+const utils = require('../lib/utils');
+const TailscaleTunnel = require('../lib/tunnels/tailscale');
+const { getStatus } = require('../lib/status');
+
+// Above the largest pid Linux hands out (pid_max <= 2^22), so never running
+const DEAD_PID = 2 ** 22 + 1;
+
+describe('Status', () => {
+  const saved = {};
+  let tmpDir;
+
+  const writeManifest = tunnels => {
+    state.init();
+    state.update({ phase: 'done', ssh: { mode: 'user', pid: process.pid, port: '2222' }, tunnels });
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-status-'));
+    saved.stateFile = config.stateFile;
+    saved.level = logger.level;
+
+    config.stateFile = path.join(tmpDir, 'state.json');
+    logger.setLevel('silent');
+    jest.spyOn(utils, 'waitPortLocalhost').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    config.stateFile = saved.stateFile;
+    logger.setLevel(saved.level);
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should report the health of a tunnel without pid as unknown', async () => {
+    writeManifest([{ provider: 'pinggy', tunnelType: 'Pinggy', success: true, foreground: true }]);
+
+    const report = await getStatus();
+
+    expect(report.ssh.healthy).toBe(true);
+    expect(report.tunnels[0]).toMatchObject({ pid: null, healthy: null, message: expect.stringMatching(/^Unknown/) });
+    expect(report.healthy).toBe(true);
+  });
+
+  it('should ask providers with their own health check even without pid', async () => {
+    const healthCheck = jest
+      .spyOn(TailscaleTunnel.prototype, 'healthCheck')
+      .mockResolvedValue({ healthy: false, message: 'Backend NeedsLogin' });
+    writeManifest([{ provider: 'tailscale', tunnelType: 'Tailscale', success: true }]);
+
+    const report = await getStatus();
+
+    expect(healthCheck).toHaveBeenCalled();
+    expect(report.tunnels[0]).toMatchObject({ healthy: false, message: 'Backend NeedsLogin' });
+    expect(report.healthy).toBe(false);
+  });
+
+  it('should be unhealthy when a tunnel process died, not when a tunnel failed to start', async () => {
+    writeManifest([{ provider: 'pinggy', tunnelType: 'Pinggy', success: false, error: 'No endpoint' }]);
+    expect((await getStatus()).healthy).toBe(true);
+
+    writeManifest([{ provider: 'pinggy', tunnelType: 'Pinggy', success: true, pid: DEAD_PID }]);
+    const report = await getStatus();
+
+    expect(report.tunnels[0]).toMatchObject({ pid: DEAD_PID, healthy: false, message: 'Process not found' });
+    expect(report.healthy).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * summary.test.js - Unit tests for the GitHub Actions job summary and step outputs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderSummary, toSshConfig } = require('../lib/summary');
+const hostrunner = require('../lib/hostrunner');
+
+const report = {
+  dryRun: false,
+  error: null,
+  ssh: {
+    success: true,
+    mode: 'user',
+    port: '2222',
+    listenAddress: '127.0.0.1',
+    user: 'runner',
+    hostKeys: [{ type: 'ssh-ed25519', fingerprint: 'SHA256:7Ygyv50TxNuSKnV0Ap1E+b2WdoLO4TBDtnhlGSLczco' }],
+  },
+  tunnels: [
+    {
+      tunnelType: 'Pinggy',
+      provider: 'pinggy',
+      status: 'running',
+      endpoint: 'tcp://a.pinggy.link:40001',
+      connectCommand: 'ssh -p 40001 runner@a.pinggy.link -i <your-private-key>',
+    },
+    { tunnelType: 'Cloudflare', provider: 'cloudflare', status: 'failed', error: 'Endpoint not found' },
+  ],
+};
+
+describe('Job Summary', () => {
+  it('should convert connect commands to ssh_config blocks', () => {
+    expect(toSshConfig('ci-pinggy', 'ssh -p 40001 runner@a.pinggy.link -i <your-private-key>')).toBe(
+      'Host ci-pinggy\n  HostName a.pinggy.link\n  User runner\n  Port 40001\n  IdentityFile <your-private-key>'
+    );
+    expect(
+      toSshConfig('ci-cf', 'ssh -o ProxyCommand="cloudflared access tcp --hostname x.example.com" runner@x.example.com')
+    ).toBe(
+      'Host ci-cf\n  HostName x.example.com\n  User runner\n  ProxyCommand cloudflared access tcp --hostname x.example.com'
+    );
+    expect(toSshConfig('ci-x', 'tailscale ssh runner@host')).toBeNull();
+  });
+
+  it('should render tunnels, connect commands, fingerprints and ssh_config', () => {
+    const markdown = renderSummary(report);
+
+    expect(markdown).toContain('| Pinggy | ✅ running | `tcp://a.pinggy.link:40001` |');
+    expect(markdown).toContain('| Cloudflare | ❌ failed | Endpoint not found |');
+    expect(markdown).toContain('```bash\nssh -p 40001 runner@a.pinggy.link -i <your-private-key>\n```');
+    expect(markdown).toContain('`SHA256:7Ygyv50TxNuSKnV0Ap1E+b2WdoLO4TBDtnhlGSLczco`');
+    expect(markdown).toContain('Host ci-pinggy\n  HostName a.pinggy.link');
+  });
+
+  describe('step outputs', () => {
+    let tmpDir;
+    const saved = {};
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-summary-'));
+      for (const name of ['GITHUB_ACTIONS', 'GITHUB_OUTPUT', 'GITHUB_ENV', 'TF_BUILD']) saved[name] = process.env[name];
+      delete process.env.TF_BUILD;
+      process.env.GITHUB_ACTIONS = 'true';
+      process.env.GITHUB_OUTPUT = path.join(tmpDir, 'output');
+      process.env.GITHUB_ENV = path.join(tmpDir, 'env');
+    });
+
+    afterEach(() => {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should write step outputs, multi-line values with a delimiter, and not export env', () => {
+      hostrunner.setPipelineVar('PINGGY_ENDPOINT', 'tcp://a.pinggy.link:40001');
+      hostrunner.setPipelineVar('SSH_CONFIG', 'Host ci\n  Port 1');
+
+      const output = fs.readFileSync(process.env.GITHUB_OUTPUT, 'utf8');
+      const [, delimiter] = output.match(/SSH_CONFIG<<(\S+)\n/);
+      expect(output).toBe(
+        `PINGGY_ENDPOINT=tcp://a.pinggy.link:40001\nSSH_CONFIG<<${delimiter}\nHost ci\n  Port 1\n${delimiter}\n`
+      );
+      expect(fs.existsSync(process.env.GITHUB_ENV)).toBe(false);
+    });
+  });
+});
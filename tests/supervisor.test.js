@@ -0,0 +1,145 @@
+/**
+ * supervisor.test.js - Unit tests for the tunnel supervisor with a fake provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const events = require('../lib/events');
+const hostrunner = require('../lib/hostrunner');
+const logger = require('../lib/logger');
+const persistence = require('../lib/persistence');
+const state = require('../lib/state');
+const { registry, BaseTunnel } = require('../lib/tunnels');
+const { supervise } = require('../lib/supervisor');
+
+// Health check results in call order, then restart behaviour of the fake tunnel
+let script;
+
+class FakeTunnel extends BaseTunnel {
+  constructor(tunnelConfig, utils) {
+    super(tunnelConfig, utils);
+    this.name = 'Fake';
+    this.endpointPattern = /fake-\d+\.example:\d+/;
+  }
+
+  async healthCheck() {
+    const next = script.health.shift();
+    if (typeof next === 'function') return next();
+    return next ? { healthy: true, message: 'Running' } : { healthy: false, message: 'Process not found' };
+  }
+
+  async restart() {
+    script.restarts++;
+    if (script.failRestart) throw new Error('cannot reach relay');
+    if (script.stopDuringRestart) fs.unlinkSync(config.stateFile);
+
+    this.pid = 5000 + script.restarts;
+    fs.appendFileSync(this.logFile, `endpoint fake-${script.restarts}.example:22\n`);
+    return { started: true, pid: this.pid };
+  }
+}
+
+registry.register({ id: 'fake', displayName: 'Fake', TunnelClass: FakeTunnel, schema: {} });
+
+describe('Supervisor', () => {
+  const saved = {};
+  let tmpDir;
+  let logFile;
+
+  // Ends the supervisor loop the way `setup-ssh stop` does
+  const stopSession = () => {
+    fs.unlinkSync(config.stateFile);
+    return { healthy: true, message: 'Running' };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-supervisor-'));
+    logFile = path.join(tmpDir, 'fake.log');
+    saved.stateFile = config.stateFile;
+    saved.level = logger.level;
+    saved.maxRetries = config.supervisor.maxRetries;
+
+    config.stateFile = path.join(tmpDir, 'state.json');
+    logger.setLevel('silent');
+    jest.spyOn(persistence, 'persist').mockResolvedValue({ rtdb: false, ntfy: false });
+    jest.spyOn(hostrunner, 'setPipelineVar').mockImplementation(() => {});
+
+    fs.writeFileSync(logFile, 'endpoint fake-0.example:22\n');
+    state.init();
+    state.update({
+      ssh: { port: '2222' },
+      tunnels: [
+        {
+          provider: 'fake',
+          tunnelType: 'Fake',
+          success: true,
+          pid: 4999,
+          logFile,
+          endpoint: 'fake-0.example:22',
+        },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    config.stateFile = saved.stateFile;
+    config.supervisor.maxRetries = saved.maxRetries;
+    logger.setLevel(saved.level);
+    events.removeAllListeners();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should restart a dead tunnel and republish its new endpoint', async () => {
+    script = { health: [false, true, stopSession], restarts: 0 };
+    const published = [];
+    events.on('tunnel:endpoint', ({ endpoint }) => published.push(endpoint));
+    let manifest;
+    let pidFileContent;
+    persistence.persist.mockImplementation(async () => {
+      manifest = state.load();
+      pidFileContent = fs.readFileSync(manifest.supervisorPidFile, 'utf8');
+      return { rtdb: true };
+    });
+
+    await supervise({ interval: 1 });
+
+    expect(script.restarts).toBe(1);
+    expect(published).toEqual(['fake-1.example:22']);
+    expect(persistence.persist).toHaveBeenCalledWith(
+      [{ status: 'fulfilled', value: expect.objectContaining({ endpoint: 'fake-1.example:22', pid: 5001 }) }],
+      { sessionEndsAt: null }
+    );
+    expect(manifest.supervisorPid).toBe(process.pid);
+    expect(pidFileContent).toBe(String(process.pid));
+    expect(fs.existsSync(manifest.supervisorPidFile)).toBe(false);
+  });
+
+  it('should not publish or recreate the manifest when the session is stopped during a restart', async () => {
+    script = { health: [false, true], restarts: 0, stopDuringRestart: true };
+    const published = [];
+    events.on('tunnel:endpoint', ({ endpoint }) => published.push(endpoint));
+
+    await supervise({ interval: 1 });
+
+    expect(script.restarts).toBe(1);
+    expect(published).toEqual([]);
+    expect(persistence.persist).not.toHaveBeenCalled();
+    expect(fs.existsSync(config.stateFile)).toBe(false);
+  });
+
+  it('should give up until the next check when restarts are exhausted', async () => {
+    config.supervisor.maxRetries = 0;
+    script = { health: [false, stopSession], restarts: 0, failRestart: true };
+    const errors = [];
+    events.on('tunnel:error', ({ error }) => errors.push(error.message));
+
+    await supervise({ interval: 1 });
+
+    expect(script.restarts).toBe(1);
+    expect(errors).toEqual(['cannot reach relay']);
+    expect(persistence.persist).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * wait.test.js - Unit tests for wait mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const state = require('../lib/state');
+const utils = require('../lib/utils');
+const { waitForUser, countSessionsFromLog } = require('../lib/wait');
+
+const LISTENING = 'Server listening on 127.0.0.1 port 2222.\n';
+const ACCEPTED = 'Accepted publickey for runner from 10.0.0.1 port 50022 ssh2: ED25519 SHA256:abc\n';
+const CLOSED = 'Disconnected from user runner 10.0.0.1 port 50022\n';
+
+describe('Wait', () => {
+  const saved = {};
+  let tmpDir;
+  let logPath;
+  let continueFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-ssh-wait-'));
+    logPath = path.join(tmpDir, 'sshd.log');
+    continueFile = path.join(tmpDir, 'continue');
+    saved.stateFile = config.stateFile;
+    saved.level = logger.level;
+
+    config.stateFile = path.join(tmpDir, 'state.json');
+    logger.setLevel('silent');
+    state.init();
+    state.update({ ssh: { mode: 'user', logPath } });
+  });
+
+  afterEach(() => {
+    config.stateFile = saved.stateFile;
+    logger.setLevel(saved.level);
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const wait = (options = {}) => waitForUser({ timeout: 5000, pollInterval: 10, continueFile, ...options });
+
+  it('should count sessions from sshd.log, null without sshd messages', () => {
+    expect(countSessionsFromLog(path.join(tmpDir, 'missing.log'))).toBeNull();
+
+    fs.writeFileSync(logPath, '');
+    expect(countSessionsFromLog(logPath)).toBeNull();
+
+    fs.writeFileSync(logPath, LISTENING);
+    expect(countSessionsFromLog(logPath)).toBe(0);
+
+    fs.appendFileSync(logPath, ACCEPTED + ACCEPTED);
+    expect(countSessionsFromLog(logPath)).toBe(2);
+
+    fs.appendFileSync(logPath, CLOSED);
+    expect(countSessionsFromLog(logPath)).toBe(1);
+  });
+
+  it('should end when the user disconnects', async () => {
+    fs.writeFileSync(logPath, LISTENING + ACCEPTED);
+    setTimeout(() => fs.appendFileSync(logPath, CLOSED), 50);
+
+    const result = await wait();
+
+    expect(result.reason).toBe('disconnected');
+    expect(state.load().wait).toBeNull();
+  });
+
+  it('should fall back to who when sshd.log has no sshd messages', async () => {
+    fs.writeFileSync(logPath, '');
+    const who = jest
+      .spyOn(utils, 'runCapture')
+      .mockReturnValueOnce('runner   pts/0        2026-01-01 10:00 (10.0.0.1)\n')
+      .mockReturnValue('');
+
+    expect((await wait()).reason).toBe('disconnected');
+    expect(who).toHaveBeenCalledWith('who');
+  });
+
+  it('should end on the continue file and remove it', async () => {
+    fs.writeFileSync(continueFile, '');
+    fs.writeFileSync(logPath, LISTENING);
+    setTimeout(() => fs.writeFileSync(continueFile, ''), 50);
+
+    expect((await wait()).reason).toBe('continue');
+    expect(fs.existsSync(continueFile)).toBe(false);
+  });
+
+  it('should point to the continue file when sessions bypass sshd', async () => {
+    const warn = jest.spyOn(logger, 'warn');
+    fs.writeFileSync(logPath, LISTENING);
+    state.update({ tunnels: [{ tunnelType: 'Tailscale', success: true, sshServer: 'tailscale' }] });
+
+    await wait({ timeout: 20 });
+
+    expect(warn).toHaveBeenCalledWith(
+      `Tailscale SSH sessions are not detected, end the wait with: touch ${continueFile}`
+    );
+  });
+
+  it('should time out while nobody connects', async () => {
+    fs.writeFileSync(logPath, LISTENING);
+
+    const result = await wait({ timeout: 50 });
+
+    expect(result.reason).toBe('timeout');
+    expect(result.waitedMs).toBeGreaterThanOrEqual(50);
+  });
+});